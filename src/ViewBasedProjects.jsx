@@ -1,11 +1,13 @@
-import React, { useEffect, useRef, useState } from 'react'
+import React, { useCallback, useEffect, useRef, useState } from 'react'
 import { Canvas } from '@react-three/fiber'
 import * as THREE from 'three'
 import BarrelDistortionTemplate from './templates/BarrelDistortionTemplate'
 import FishParticleSystem from './effects/particles/FishParticleSystem'
-import MobileWater from './effects/water/MobileWater'
-import SimpleWater from './effects/water/SimpleWater'
+import Water from './effects/water/Water'
+import ContextLossMonitor from './components/ContextLossMonitor.jsx'
+import RestoringOverlay from './components/RestoringOverlay.jsx'
 import { getDeviceCapabilities } from './utils/deviceDetection.js'
+import { navigateBack } from './utils/router.js'
 import './styles/barrel-distortion.css'
 
 export default function ViewBasedProjects() {
@@ -16,6 +18,7 @@ export default function ViewBasedProjects() {
     
     // Device capabilities detection
     const [deviceCapabilities, setDeviceCapabilities] = useState(null)
+    const [isContextLost, setIsContextLost] = useState(false)
 
     // Detect device capabilities on mount
     useEffect(() => {
@@ -93,6 +96,13 @@ export default function ViewBasedProjects() {
     }, [])
     
     
+    // three resets the clear color when the context comes back
+    const handleContextLost = useCallback(() => setIsContextLost(true), [])
+    const handleContextRestored = useCallback((gl) => {
+        gl.setClearColor('#ffffff')
+        setIsContextLost(false)
+    }, [])
+
     return (
         <>
             {/* Force scroll by creating a large content area first */}
@@ -109,7 +119,6 @@ export default function ViewBasedProjects() {
                         alpha: false,
                         antialias: !deviceCapabilities?.shouldUseMobileWater,
                         powerPreference: deviceCapabilities?.shouldUseMobileWater ? 'default' : 'high-performance',
-                        pixelRatio: deviceCapabilities?.shouldUseMobileWater ? 1 : Math.min(window.devicePixelRatio, 2),
                         outputColorSpace: THREE.SRGBColorSpace,
                         toneMapping: THREE.NoToneMapping,
                         toneMappingExposure: 1.0,
@@ -137,18 +146,17 @@ export default function ViewBasedProjects() {
                     }}
                 >
                     {/* Layer 1: Fish (bottom) */}
-                    <FishParticleSystem scrollY={scrollY} />
+                    <FishParticleSystem scrollY={scrollY} waterRef={waterRef} quality={deviceCapabilities.performanceTier} />
                     
                     {/* Layer 2: Barrel Distortion (middle) */}
-                    <BarrelDistortionTemplate waterRef={waterRef} />
+                    <BarrelDistortionTemplate />
                     
-                    {/* Layer 3: Water (top) - Use appropriate water shader based on device */}
-                    {deviceCapabilities?.shouldUseMobileWater ? (
-                        <MobileWater ref={waterRef} scrollY={scrollY} />
-                    ) : (
-                        <SimpleWater ref={waterRef} scrollY={scrollY} />
-                    )}
+                    {/* Layer 3: Water (top) - quality follows the device tier */}
+                    <Water ref={waterRef} quality={deviceCapabilities.performanceTier} />
+                    
+                    <ContextLossMonitor onLost={handleContextLost} onRestored={handleContextRestored} />
                 </Canvas>}
+            {isContextLost && <RestoringOverlay />}
 
             {/* Navigation UI */}
             <div style={{
@@ -159,12 +167,7 @@ export default function ViewBasedProjects() {
                 fontFamily: 'PSTimesTrial, serif'
             }}>
                 <span 
-                    onClick={() => {
-                        // Remove the template parameter to go back to main page
-                        const url = new URL(window.location);
-                        url.searchParams.delete('template');
-                        window.location.href = url.toString();
-                    }}
+                    onClick={() => navigateBack('/')}
                     className="back-button"
                 >
                     ← back to main
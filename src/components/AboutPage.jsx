@@ -0,0 +1,43 @@
+import React from 'react'
+import { navigateBack } from '../utils/router.js'
+
+function AboutPage() {
+  return (
+    <div className="ui-overlay about-page">
+      {/* Top Section */}
+      <div className="ui-top">
+        <div className="ui-top-left">
+          <span className="back-button" onClick={() => navigateBack('/')}>
+            back
+          </span>
+        </div>
+        <div className="ui-top-right">
+          <span className="about-button">about</span>
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="about-content">
+        <span className="studio-button">walters studio</span>
+      </div>
+
+      {/* Bottom Section */}
+      <div className="ui-bottom">
+        <div className="ui-bottom-left">
+          <img 
+            src="./img/logo/walters_logo.svg" 
+            alt="Walters Studio" 
+            className="walters-logo" 
+            onClick={() => navigateBack('/')}
+            style={{ cursor: 'pointer' }}
+          />
+        </div>
+        <div className="ui-bottom-right">
+          all rights reserved
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AboutPage
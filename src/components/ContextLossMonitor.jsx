@@ -0,0 +1,20 @@
+import { useEffect } from 'react'
+import { useThree } from '@react-three/fiber'
+import { watchContextLoss } from '../utils/webglContext.js'
+
+// Reports WebGL context loss to the DOM side - rendered inside the Canvas
+// onRestored(gl) gets the renderer, three resets state like the clear color on restore
+function ContextLossMonitor({ onLost, onRestored }) {
+  const gl = useThree(state => state.gl)
+
+  useEffect(() => {
+    return watchContextLoss(gl.domElement, {
+      onLost: () => onLost?.(),
+      onRestored: () => onRestored?.(gl)
+    })
+  }, [gl, onLost, onRestored])
+
+  return null
+}
+
+export default ContextLossMonitor
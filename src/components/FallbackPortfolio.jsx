@@ -0,0 +1,183 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useRoute, navigate, navigateBack, getProjectPath, getHref } from '../utils/router.js'
+import { loadProjects } from '../utils/loadProjects.js'
+import { isVideoEntry, getPosterSrc } from '../utils/media.js'
+import { useGesture } from '../utils/inputManager.js'
+
+// Plain HTML version of the portfolio for browsers without WebGL
+// Same projects.json and the same routes as the WebGL scene, so links work in both
+
+// Link that navigates inside the app but stays a real link for keyboards and screen readers
+function AppLink({ path, className, children, ...props }) {
+  const handleClick = (event) => {
+    // Let modified clicks open a new tab
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.button !== 0) return
+    event.preventDefault()
+    navigate(path)
+  }
+
+  return (
+    <a href={getHref(path)} className={className} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
+
+function FallbackProjectList({ projects }) {
+  if (projects.length === 0) {
+    return <p className="fallback-empty">No projects to show.</p>
+  }
+
+  return (
+    <ul className="fallback-projects">
+      {projects.map(project => (
+        <li key={project.id} className="fallback-project">
+          <AppLink path={getProjectPath(project.id)} className="fallback-project-link">
+            {getPosterSrc(project.images[0]) && (
+              <img src={getPosterSrc(project.images[0])} alt="" loading="lazy" />
+            )}
+            <span className="fallback-project-name">{project.name}</span>
+          </AppLink>
+          <p className="fallback-project-description">{project.description}</p>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function FallbackGallery({ project, imageIndex }) {
+  const headingRef = useRef()
+  const total = project.images.length
+  const index = Math.min(imageIndex, total - 1)
+  const image = project.images[index]
+
+  // The URL holds the image, like the WebGL gallery - wraps around at both ends
+  const showImage = (nextIndex) => {
+    navigate(getProjectPath(project.id, (nextIndex + total) % total), { replace: true })
+  }
+
+  // Move focus to the opened project so screen readers start there
+  useEffect(() => {
+    headingRef.current?.focus()
+  }, [project.id])
+
+  // Arrow keys step through the images, Escape goes back to the list
+  useGesture('key', (key) => {
+    if (key.originalEvent.defaultPrevented || key.altKey || key.metaKey || key.ctrlKey) return
+
+    if (key.key === 'ArrowRight') {
+      key.preventDefault()
+      showImage(index + 1)
+    } else if (key.key === 'ArrowLeft') {
+      key.preventDefault()
+      showImage(index - 1)
+    } else if (key.key === 'Home') {
+      key.preventDefault()
+      showImage(0)
+    } else if (key.key === 'End') {
+      key.preventDefault()
+      showImage(total - 1)
+    } else if (key.key === 'Escape') {
+      navigateBack('/')
+    }
+  })
+
+  return (
+    <section className="fallback-gallery" aria-roledescription="carousel" aria-labelledby="fallback-gallery-title">
+      <h1 id="fallback-gallery-title" className="fallback-gallery-title" tabIndex={-1} ref={headingRef}>
+        {project.name}
+      </h1>
+      {project.description && <p className="fallback-project-description">{project.description}</p>}
+
+      <figure className="fallback-slide" aria-roledescription="slide" aria-label={`${index + 1} of ${total}`}>
+        {isVideoEntry(image) ? (
+          <video
+            key={image.src}
+            src={image.src}
+            poster={image.poster}
+            muted={image.muted !== false}
+            loop={image.loop !== false}
+            playsInline
+            controls
+          />
+        ) : (
+          <img key={image.src} src={image.src} alt={image.title || project.name} />
+        )}
+        <figcaption>
+          {image.title && <span className="fallback-slide-title">{image.title}</span>}
+          {image.description && <span className="fallback-slide-description">{image.description}</span>}
+        </figcaption>
+      </figure>
+
+      <div className="fallback-gallery-controls">
+        <button type="button" onClick={() => showImage(index - 1)} disabled={total < 2}>
+          previous
+        </button>
+        <span className="fallback-counter" aria-live="polite">
+          {index + 1}/{total}
+        </span>
+        <button type="button" onClick={() => showImage(index + 1)} disabled={total < 2}>
+          next
+        </button>
+      </div>
+    </section>
+  )
+}
+
+function FallbackPortfolio() {
+  const route = useRoute()
+  const [projects, setProjects] = useState(null)
+
+  // Same checks as the WebGL version - problems are reported, showable projects kept
+  useEffect(() => {
+    loadProjects()
+      .then(({ projects }) => setProjects(projects))
+      .catch(error => {
+        console.error('Failed to load projects.json', error)
+        setProjects([])
+      })
+  }, [])
+
+  const project = route.name === 'project' && projects
+    ? projects.find(p => p.id === route.id)
+    : null
+
+  // Links to projects that don't exist go back to the list
+  useEffect(() => {
+    if (projects && route.name === 'project' && !project) {
+      navigate('/', { replace: true })
+    }
+  }, [projects, route, project])
+
+  return (
+    <div className="fallback-page">
+      <header className="fallback-header">
+        {project ? (
+          <button type="button" className="back-button fallback-text-button" onClick={() => navigateBack('/')}>
+            back
+          </button>
+        ) : (
+          <span className="studio-button">walters studio</span>
+        )}
+        <AppLink path="/about" className="about-button">about</AppLink>
+      </header>
+
+      <main className="fallback-main">
+        {projects === null ? (
+          <p className="fallback-loading" role="status">loading…</p>
+        ) : project ? (
+          <FallbackGallery project={project} imageIndex={route.imageIndex} />
+        ) : (
+          <FallbackProjectList projects={projects} />
+        )}
+      </main>
+
+      <footer className="fallback-footer">
+        <img src="./img/logo/walters_logo.svg" alt="Walters Studio" className="walters-logo" />
+        <span>all rights reserved</span>
+      </footer>
+    </div>
+  )
+}
+
+export default FallbackPortfolio
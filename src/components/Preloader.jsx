@@ -0,0 +1,39 @@
+import React, { useEffect, useState } from 'react'
+
+// Full-screen preloader - shows real loading progress, then fades out over the scene
+// progress: 0..1 across every asset of the first view
+// isComplete: everything is loaded and the scene is mounted - starts the fade-out
+// onHidden: called once the fade-out has finished
+function Preloader({ progress, isComplete, onHidden }) {
+  const [isFadingOut, setIsFadingOut] = useState(false)
+  const percentage = Math.round(progress * 100)
+
+  useEffect(() => {
+    if (!isComplete) return
+    // Let 100% show for a moment before revealing the scene
+    const timer = setTimeout(() => setIsFadingOut(true), 250)
+    return () => clearTimeout(timer)
+  }, [isComplete])
+
+  return (
+    <div
+      className={`preloader ${isFadingOut ? 'hidden' : ''}`}
+      onTransitionEnd={(event) => {
+        if (isFadingOut && event.target === event.currentTarget) onHidden?.()
+      }}
+      role="progressbar"
+      aria-label="Loading"
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={percentage}
+    >
+      <img src="./img/logo/walters_logo.svg" alt="Walters Studio" className="preloader-logo" />
+      <div className="preloader-bar">
+        <div className="preloader-bar-fill" style={{ transform: `scaleX(${progress})` }} />
+      </div>
+      <span className="preloader-percentage">{percentage}%</span>
+    </div>
+  )
+}
+
+export default Preloader
@@ -0,0 +1,30 @@
+import React from 'react'
+
+// Dev-only overlay listing projects.json problems with their JSON paths
+function ProjectErrorOverlay({ errors, onDismiss }) {
+  const errorCount = errors.filter(error => error.severity !== 'warning').length
+  const warningCount = errors.length - errorCount
+
+  return (
+    <div className="project-error-overlay" role="alert">
+      <div className="project-error-header">
+        <span>
+          projects.json: {errorCount} error{errorCount === 1 ? '' : 's'}
+          {warningCount > 0 ? `, ${warningCount} warning${warningCount === 1 ? '' : 's'}` : ''}
+        </span>
+        <span className="project-error-dismiss" onClick={onDismiss}>
+          dismiss
+        </span>
+      </div>
+      <ul className="project-error-list">
+        {errors.map((error, index) => (
+          <li key={index} className={`project-error-item ${error.severity}`}>
+            <code>{error.path}</code> {error.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default ProjectErrorOverlay
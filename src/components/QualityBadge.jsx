@@ -0,0 +1,14 @@
+import React from 'react'
+
+// Debug readout next to the performance monitor - active quality tier and its knobs
+function QualityBadge({ tier }) {
+  return (
+    <div className="quality-badge">
+      <strong>quality: {tier.name}</strong>
+      <br />
+      dpr {tier.dpr} · water {tier.waterResolution} · msaa {tier.sceneSamples} · fish {tier.fishCount} · ca {tier.aberrationPasses}
+    </div>
+  )
+}
+
+export default QualityBadge
@@ -0,0 +1,19 @@
+import { useMemo } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { createQualityGovernor } from '../utils/qualityTiers.js'
+
+// Frame-rate watcher - rendered inside the Canvas, steps the quality tier up or down
+// initialTier / maxTier: indices into QUALITY_TIERS (see getTierRange)
+// onChange(tierIndex): called when the tier changes
+function QualityMonitor({ initialTier, maxTier, onChange }) {
+  const governor = useMemo(() => createQualityGovernor({ initialTier, maxTier }), [initialTier, maxTier])
+
+  useFrame((state, delta) => {
+    const nextTier = governor.update(delta)
+    if (onChange && nextTier !== null) onChange(nextTier)
+  })
+
+  return null
+}
+
+export default QualityMonitor
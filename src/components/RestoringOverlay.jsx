@@ -0,0 +1,27 @@
+import React, { useEffect, useState } from 'react'
+
+// Shown while the WebGL context is lost - the browser usually hands it back within a moment,
+// a reload is offered in case it doesn't
+const RELOAD_HINT_DELAY = 6000
+
+function RestoringOverlay() {
+  const [showReload, setShowReload] = useState(false)
+
+  useEffect(() => {
+    const timer = setTimeout(() => setShowReload(true), RELOAD_HINT_DELAY)
+    return () => clearTimeout(timer)
+  }, [])
+
+  return (
+    <div className="restoring-overlay" role="status" aria-live="polite">
+      <span>restoring…</span>
+      {showReload && (
+        <button type="button" className="restoring-reload" onClick={() => window.location.reload()}>
+          reload
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default RestoringOverlay
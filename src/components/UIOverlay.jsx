@@ -1,6 +1,7 @@
 import React from 'react'
+import { navigate } from '../utils/router.js'
 
-function UIOverlay({ highlightedProject, isHighlightVisible, displayedProject, isVisible, projects, isPostTransition, isTransitioning, isReturningToSlider, selectedProject, currentImageIndex, onBackToSlider }) {
+function UIOverlay({ highlightedProject, isHighlightVisible, displayedProject, isVisible, projects, isPostTransition, isTransitioning, isReturningToSlider, selectedProject, currentImageIndex, onBackToSlider, announcement = '' }) {
   // Get current image data for selected project
   const currentImage = selectedProject && selectedProject.images && selectedProject.images[currentImageIndex] 
     ? selectedProject.images[currentImageIndex] 
@@ -32,20 +33,20 @@ function UIOverlay({ highlightedProject, isHighlightVisible, displayedProject, i
         <div className="ui-top-right">
           <span 
             className="about-button" 
-            onClick={() => {
-              // Add template parameter to current URL
-              const url = new URL(window.location);
-              url.searchParams.set('template', 'barrel-distortion');
-              window.location.href = url.toString();
-            }}
+            onClick={() => navigate('/lab/barrel')}
             style={{ cursor: 'pointer' }}
           >
             barrel test
           </span>
-          <span className="about-button">about</span>
+          <span className="about-button" onClick={() => navigate('/about')}>about</span>
         </div>
       </div>
 
+      {/* Keyboard navigation of the strip is announced here */}
+      <div className="visually-hidden" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </div>
+
       {/* Bottom Section */}
       <div className="ui-bottom">
         <div className="ui-bottom-left">
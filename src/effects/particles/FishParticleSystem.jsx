@@ -1,427 +1,317 @@
-import { useGLTF } from '@react-three/drei'
-import { useEffect, useRef, useMemo, useState } from 'react'
+import { useEffect, useRef, useMemo, useImperativeHandle, forwardRef } from 'react'
 import { useFrame, useThree } from '@react-three/fiber'
 import * as THREE from 'three'
+import { getDeviceCapabilities } from '../../utils/deviceDetection.js'
+import { useModel } from '../../utils/gltfLoader.js'
+import { useContextRestoreCount } from '../../utils/webglContext.js'
+import { useGesture } from '../../utils/inputManager.js'
+import { createFish, createFood, getFlockingParams, stepFlock } from './fishFlocking.js'
+import { bakeMorphAnimation, createBakedGeometry, applyBakedAnimation } from './bakeMorphAnimation.js'
+import { addTintAttributes, applyPaletteTint, getPaletteMultipliers, setInstancePalette } from './fishPalette.js'
 
-// Fish with animation - using SkinnedMesh approach for proper animation
-function FishWithAnimation({ scene, animations, fishIndex, fleeState, velocity }) {
-  const group = useRef()
-  const mixer = useRef()
-  const actions = useRef([])
-  const currentAnimationSpeed = useRef(1.5)
-  const targetAnimationSpeed = useRef(1.5)
-  const speedVariation = useRef(Math.random() * 0.4 + 0.8) // 0.8 to 1.2 multiplier for natural variation
-  const lastSpeedChangeTime = useRef(0)
-  
-  // Clone the scene and setup animation mixer
-  const clonedScene = useMemo(() => {
-    // Use SkeletonUtils for proper cloning if available
-    const cloned = scene.clone()
-    
-    // Clone all meshes properly
-    cloned.traverse((child) => {
-      if (child.isMesh) {
-        // Clone geometry to have independent morph targets
-        child.geometry = child.geometry.clone()
-        
-        // Clone material
-        if (child.material) {
-          child.material = child.material.clone()
-          // Fog will be handled by Three.js native fog
-        }
-        
-        // If it's a SkinnedMesh, clone skeleton
-        if (child.isSkinnedMesh && child.skeleton) {
-          child.skeleton = child.skeleton.clone()
-        }
-      }
-    })
-    
-    return cloned
-  }, [scene, fishIndex])
+// How many fish may disturb the water at once, per performance tier
+export const FISH_WAKE_LIMIT = {
+  desktop: 6,
+  mobile: 3
+}
+
+// Fish deeper than this leave no trace on the surface (fish swim between z -2 and -20)
+const WAKE_MAX_DEPTH = -8
+const WAKE_SURFACE_DEPTH = -2
+// Drop strength along the wake of a fish right under the surface at cruising speed
+const WAKE_STRENGTH = 0.015
+// Seconds of a fish's path collected into one wake stroke
+const WAKE_STROKE_TIME = 0.05
+const CRUISE_SPEED = 0.3
+
+// How strongly a fish disturbs the water - 0 for deep or resting fish, growing with speed
+// and with closeness to the surface
+const getWakeStrength = (fish) => {
+  const depthFactor = THREE.MathUtils.clamp(
+    (fish.position.z - WAKE_MAX_DEPTH) / (WAKE_SURFACE_DEPTH - WAKE_MAX_DEPTH), 0, 1
+  )
+  const speedFactor = Math.min(fish.velocity.length() / CRUISE_SPEED, 2)
+  return depthFactor * speedFactor
+}
+
+// Pointer travel (px) that turns a press into a drag - drags scare fish, taps feed them
+const DRAG_THRESHOLD = 10
+
+// Fish count per performance tier - shared between the species by weight, one instanced
+// draw call per species
+export const FISH_COUNT = {
+  desktop: 240,
+  mobile: 80
+}
+
+// Smooth easing function for natural transitions
+const easeInOutCubic = (t) => {
+  if (t < 0.5) {
+    return 4 * t * t * t
+  }
+  return 1 - Math.pow(-2 * t + 2, 3) / 2
+}
+
+// Per-fish swim animation state - speed follows the fish's velocity with natural variation
+const createSwimState = (duration) => ({
+  time: Math.random() * duration, // Random phase so the school doesn't swim in sync
+  currentSpeed: 1.5,
+  timeScale: 1.5,
+  speedVariation: Math.random() * 0.4 + 0.8, // 0.8 to 1.2 multiplier for natural variation
+  lastSpeedChangeTime: 0
+})
+
+// Advance one fish's animation time with ultra-smooth speed transitions
+const updateSwimAnimation = (fish, index, time, delta) => {
+  const swim = fish.swim
   
-  useEffect(() => {
-    if (!clonedScene || animations.length === 0) return
-    
-    // Create animation mixer for this specific cloned scene
-    mixer.current = new THREE.AnimationMixer(clonedScene)
-    
-    // Play all animations and store actions
-    actions.current = animations.map((clip) => {
-      const action = mixer.current.clipAction(clip)
-      action.play()
-      action.timeScale = 1.5 // Base animation speed
-      return action
-    })
-    
-    return () => {
-      if (mixer.current) {
-        mixer.current.stopAllAction()
-      }
-    }
-  }, [clonedScene, animations, fishIndex])
+  // Map velocity to animation speed
+  const speed = fish.velocity.length()
+  const baseSpeed = 0.3
+  const baseAnimationMultiplier = Math.max(1.0, (speed / baseSpeed) * 1.5)
   
-  // Smooth easing function for natural transitions
-  const easeInOutCubic = (t) => {
-    if (t < 0.5) {
-      return 4 * t * t * t
-    }
-    return 1 - Math.pow(-2 * t + 2, 3) / 2
+  // Subtle speed variation that changes every 3-7 seconds
+  if (time - swim.lastSpeedChangeTime > 3 + Math.random() * 4) {
+    swim.speedVariation = Math.random() * 0.4 + 0.8
+    swim.lastSpeedChangeTime = time
   }
+  
+  // Subtle sine wave for a natural breathing rhythm
+  const breathingVariation = Math.sin(time * 1.5 + index * 0.5) * 0.08 + 1
+  const targetSpeed = baseAnimationMultiplier * swim.speedVariation * breathingVariation
+  
+  // Cubic-eased transition - faster while fleeing
+  const transitionSpeed = fish.fleeState ? 4.0 : 1.5
+  const speedDifference = targetSpeed - swim.currentSpeed
+  const easedTransition = easeInOutCubic(Math.min(Math.abs(speedDifference) / 5.0, 1.0))
+  swim.currentSpeed += speedDifference * delta * transitionSpeed * (0.3 + easedTransition * 0.7)
+  swim.currentSpeed = Math.max(0.8, Math.min(6.0, swim.currentSpeed))
+  
+  // Extra smoothing to prevent micro-stutters
+  swim.timeScale += (swim.currentSpeed - swim.timeScale) * delta * 8.0
+  
+  // Clamped delta (max 30fps step) to prevent stutters
+  swim.time += Math.min(delta, 1 / 30) * swim.timeScale
+}
 
-  // Update animation mixer every frame with ultra-smooth transitions and natural variation
-  useFrame((state, delta) => {
-    if (mixer.current) {
-      // Calculate target animation speed based on velocity
-      const speed = velocity ? velocity.length() : 0.3
-      
-      // Map velocity to animation speed with natural variation
-      const baseSpeed = 0.3
-      const baseAnimationMultiplier = Math.max(1.0, (speed / baseSpeed) * 1.5)
-      
-      // Add subtle speed variation that changes over time
-      const time = state.clock.elapsedTime
-      if (time - lastSpeedChangeTime.current > 3 + Math.random() * 4) { // Change variation every 3-7 seconds
-        speedVariation.current = Math.random() * 0.4 + 0.8 // 0.8 to 1.2 multiplier (more subtle)
-        lastSpeedChangeTime.current = time
-      }
-      
-      // Apply variation and add subtle sine wave for natural breathing rhythm
-      const breathingVariation = Math.sin(time * 1.5 + fishIndex * 0.5) * 0.08 + 1 // Slower, more subtle breathing
-      targetAnimationSpeed.current = baseAnimationMultiplier * speedVariation.current * breathingVariation
-      
-      // Ultra-smooth ease transition with cubic easing
-      const transitionSpeed = fleeState ? 4.0 : 1.5 // Slower, more gradual transitions
-      const speedDifference = targetAnimationSpeed.current - currentAnimationSpeed.current
-      
-      // Apply cubic easing for smoother transitions
-      const normalizedDiff = Math.abs(speedDifference) / 5.0 // Normalize difference
-      const easedTransition = easeInOutCubic(Math.min(normalizedDiff, 1.0))
-      const smoothTransition = speedDifference * delta * transitionSpeed * (0.3 + easedTransition * 0.7)
-      
-      currentAnimationSpeed.current += smoothTransition
-      
-      // Clamp to reasonable bounds
-      currentAnimationSpeed.current = Math.max(0.8, Math.min(6.0, currentAnimationSpeed.current))
-      
-      // Apply ultra-smooth animation speed with additional smoothing
-      actions.current.forEach(action => {
-        if (action) {
-          // Add slight smoothing to prevent micro-stutters
-          const currentTimeScale = action.timeScale || 1.5
-          const targetTimeScale = currentAnimationSpeed.current
-          const smoothedTimeScale = currentTimeScale + (targetTimeScale - currentTimeScale) * delta * 8.0
-          
-          action.timeScale = smoothedTimeScale
-        }
-      })
-      
-      // Update mixer with clamped delta to prevent large jumps
-      mixer.current.update(Math.min(delta, 1/30)) // Max 30fps delta to prevent stutters
-    }
+// Random value inside a [min, max] range
+const pickInRange = ([min, max], random) => min + (max - min) * random()
+
+// Random entry, each weighted by its weight field
+const pickWeighted = (items, random) => {
+  const total = items.reduce((sum, item) => sum + item.weight, 0)
+  let roll = random() * total
+  return items.find(item => (roll -= item.weight) < 0) || items[items.length - 1]
+}
+
+// Share the fish count between the species by weight - rounded cumulatively so the
+// counts always add up to the total
+const splitByWeight = (total, species) => {
+  const weightSum = species.reduce((sum, entry) => sum + entry.weight, 0)
+  let cumulative = 0
+  return species.map((entry) => {
+    const start = Math.round(total * cumulative / weightSum)
+    cumulative += entry.weight
+    return Math.round(total * cumulative / weightSum) - start
   })
-  
-  return (
-    <group ref={group}>
-      <primitive 
-        object={clonedScene} 
-        scale={0.192}  // Fixed scale - let camera perspective handle size
-        rotation={[-Math.PI / 2, 0, Math.PI]}
-      />
-    </group>
-  )
 }
 
-export default function FishParticleSystem({ scrollY = 0 }) {
-  const { scene, animations } = useGLTF('./models/koi.glb')
+// Model space -> fish space: the GLB node transform, then the species' top-down orientation
+// Fish size is applied per instance, so the scale isn't part of it
+const createModelMatrix = (source, rotation) => {
+  return new THREE.Matrix4()
+    .makeRotationFromEuler(new THREE.Euler(...rotation))
+    .multiply(source.matrixWorld)
+}
+
+// species: sanitized entries from public/data/fish.json (sizes, colour variants, models)
+// scrollY: page scroll, adds a depth-based parallax
+// waterRef: optional Water handle - fish near the surface leave a wake in it
+// quality: performance tier, sets how many fish are allocated and how many may leave wakes
+// count: fish swimming right now (runtime quality tier) - up to the allocated number,
+// so changing it never rebuilds the schools
+// flocking: overrides for every species' steering tunables (see DEFAULT_FLOCKING)
+// ref: dropFood(clientX, clientY) - feed the fish at a screen point
+const FishParticleSystem = forwardRef(({ species, scrollY = 0, waterRef, quality, count, flocking }, ref) => {
+  const models = useModel(species.map(entry => entry.model))
   const { camera } = useThree()
-  const fishRefs = useRef([])
-  const fishActions = useRef([])
+  const meshRefs = useRef([])
   const mousePosition = useRef(new THREE.Vector2(0, 0))
+  const wakePosition = useMemo(() => new THREE.Vector3(), [])
+  // Screen path of each waking fish since its last stroke - { points, time }
+  const wakeTrails = useRef(new Map())
+  // Bumped when a lost WebGL context comes back - materials are rebuilt, the fish keep swimming
+  const restoreCount = useContextRestoreCount()
   
+  const tierName = useMemo(() => quality || getDeviceCapabilities().performanceTier, [quality])
+  const fishCount = Math.max(FISH_COUNT[tierName] ?? FISH_COUNT.desktop, count ?? 0)
+  const wakeLimit = FISH_WAKE_LIMIT[tierName] ?? FISH_WAKE_LIMIT.desktop
+  const counts = useMemo(() => splitByWeight(fishCount, species), [fishCount, species])
+  const activeCounts = useMemo(() => splitByWeight(count ?? fishCount, species), [count, fishCount, species])
   
-  // Initialize fish data
-  const fishData = useMemo(() => {
-    const fish = []
-    for (let i = 0; i < 12; i++) { // 12 fish as requested
-      // Generate random edge spawn position
-      const spawnFromEdge = () => {
-        const edge = Math.floor(Math.random() * 4) // 0=top, 1=right, 2=bottom, 3=left
-        let startPos, targetPos, initialRotation
-        
-        // Random depth between -2 (close) and -20 (very far)
-        // Much more depth for stronger fog effect
-        const fishDepth = -2 - Math.random() * 18
-        
-        switch(edge) {
-          case 0: // Top edge - spawn way above screen
-            startPos = new THREE.Vector3(Math.random() * 60 - 30, 18, fishDepth)
-            targetPos = new THREE.Vector3(Math.random() * 20 - 10, Math.random() * 4 - 2, fishDepth)
-            break
-          case 1: // Right edge - spawn way right of screen
-            startPos = new THREE.Vector3(35, Math.random() * 20 - 10, fishDepth)
-            targetPos = new THREE.Vector3(Math.random() * 15 - 5, Math.random() * 6 - 3, fishDepth)
-            break
-          case 2: // Bottom edge - spawn way below screen
-            startPos = new THREE.Vector3(Math.random() * 60 - 30, -18, fishDepth)
-            targetPos = new THREE.Vector3(Math.random() * 20 - 10, Math.random() * 4 - 2, fishDepth)
-            break
-          case 3: // Left edge - spawn way left of screen
-            startPos = new THREE.Vector3(-35, Math.random() * 20 - 10, fishDepth)
-            targetPos = new THREE.Vector3(Math.random() * 15 - 5, Math.random() * 6 - 3, fishDepth)
-            break
-        }
-        
-        const directionToTarget = targetPos.clone().sub(startPos).normalize()
-        // Adjust initial rotation with same offset as movement rotation
-        initialRotation = Math.atan2(directionToTarget.y, directionToTarget.x) + Math.PI
-        
-        return { startPos, targetPos, initialRotation }
-      }
-      
-      const spawn = spawnFromEdge()
-      
-      fish.push({
-        id: i,
-        position: spawn.startPos.clone(),
-        startPosition: spawn.startPos.clone(),
-        targetPosition: spawn.targetPos.clone(),
-        velocity: spawn.targetPos.clone().sub(spawn.startPos).normalize().multiplyScalar(0.3), // Slow speed
-        rotation: spawn.initialRotation,
-        targetRotation: spawn.initialRotation,
-        fleeState: false,
-        fleeTimer: 0,
-        phase: 'entering', // entering, swimming, exiting
-        phaseTimer: 5 + Math.random() * 10, // Time to spend in center before exiting
-        hasReachedTarget: false,
-        spawnDelay: Math.random() * 15, // Stagger fish spawning over longer period
-      })
+  // One school per species - the morph-target swim cycle is baked once and every
+  // instance samples it at its own time
+  const schools = useMemo(() => species.map((entry, i) => {
+    const { scene, animations } = models[i]
+    let source = null
+    scene.traverse((child) => {
+      if (child.isMesh && !source) source = child
+    })
+    source.updateWorldMatrix(true, false)
+    
+    // Models without a morph clip still render, just without the swim cycle
+    const bake = animations[0] ? bakeMorphAnimation(source.geometry, animations[0]) : null
+    
+    return {
+      species: entry,
+      source,
+      bake,
+      modelMatrix: createModelMatrix(source, entry.rotation),
+      palettes: entry.palettes.map(palette => ({ weight: palette.weight, multipliers: getPaletteMultipliers(palette) }))
     }
-    return fish
-  }, [])
+  }), [species, models])
   
-  // Track mouse position and interaction state
-  const mouseDown = useRef(false)
+  const geometries = useMemo(() => schools.map((school, i) => {
+    return addTintAttributes(createBakedGeometry(school.source.geometry, counts[i]), counts[i])
+  }), [schools, counts])
   
   useEffect(() => {
-    const handleMouseMove = (event) => {
-      // Convert mouse position to world coordinates
-      mousePosition.current.x = (event.clientX / window.innerWidth) * 2 - 1
-      mousePosition.current.y = -(event.clientY / window.innerHeight) * 2 + 1
-    }
-    
-    const handleMouseDown = () => {
-      mouseDown.current = true
-    }
-    
-    const handleMouseUp = () => {
-      mouseDown.current = false
+    return () => geometries.forEach(geometry => geometry.dispose())
+  }, [geometries])
+  
+  // Materials sample the baked animation and tint each instance with its palette
+  const materials = useMemo(() => schools.map((school) => {
+    const material = school.source.material.clone()
+    if (school.bake) {
+      // The bake keeps its data on the CPU - a restored context uploads it again
+      school.bake.positions.needsUpdate = true
+      school.bake.normals.needsUpdate = true
+      applyBakedAnimation(material, school.bake)
     }
-    
-    // Touch events for mobile
-    const handleTouchStart = (event) => {
-      mouseDown.current = true
-      if (event.touches.length > 0) {
-        mousePosition.current.x = (event.touches[0].clientX / window.innerWidth) * 2 - 1
-        mousePosition.current.y = -(event.touches[0].clientY / window.innerHeight) * 2 + 1
-      }
+    return applyPaletteTint(material)
+  }), [schools, restoreCount])
+  
+  useEffect(() => {
+    return () => materials.forEach(material => material.dispose())
+  }, [materials])
+  
+  useEffect(() => {
+    return () => {
+      schools.forEach((school) => {
+        school.bake?.positions.dispose()
+        school.bake?.normals.dispose()
+      })
     }
-    
-    const handleTouchMove = (event) => {
-      if (event.touches.length > 0) {
-        mousePosition.current.x = (event.touches[0].clientX / window.innerWidth) * 2 - 1
-        mousePosition.current.y = -(event.touches[0].clientY / window.innerHeight) * 2 + 1
+  }, [schools])
+  
+  // Base steering per species - each fish gets its own top speed inside the species' range
+  const speciesParams = useMemo(() => species.map(entry => getFlockingParams(entry.id, { ...entry.flocking, ...flocking })), [species, flocking])
+  const feedDuration = Math.max(...speciesParams.map(params => params.feedDuration))
+  
+  // Initialize fish data - steering lives in fishFlocking.js, all species flock together
+  const fishData = useMemo(() => {
+    return schools.flatMap((school, schoolIndex) => {
+      const { speed, scale } = school.species
+      const geometry = geometries[schoolIndex]
+      
+      return Array.from({ length: counts[schoolIndex] }, (_, i) => {
+        const params = { ...speciesParams[schoolIndex], maxSpeed: pickInRange(speed, Math.random), ...flocking }
+        const fish = createFish(i, Math.random, params)
+        fish.school = schoolIndex
+        fish.scale = pickInRange(scale, Math.random)
+        // Start facing the way the fish enters
+        fish.rotation = Math.atan2(fish.velocity.y, fish.velocity.x) + Math.PI
+        fish.targetRotation = fish.rotation
+        fish.swim = createSwimState(school.bake?.duration ?? 1)
+        
+        if (school.palettes.length > 0) {
+          setInstancePalette(geometry, i, pickWeighted(school.palettes, Math.random).multipliers)
+        }
+        return fish
+      })
+    })
+  }, [schools, geometries, counts, speciesParams])
+  
+  // The first activeCounts fish of each school swim, the rest wait where they are
+  const activeFish = useMemo(() => fishData.filter(fish => fish.id < activeCounts[fish.school]), [fishData, activeCounts])
+  
+  // Scratch objects for composing instance matrices
+  const instance = useMemo(() => ({
+    matrix: new THREE.Matrix4(),
+    position: new THREE.Vector3(),
+    rotation: new THREE.Quaternion(),
+    scale: new THREE.Vector3(1, 1, 1),
+    hidden: new THREE.Matrix4().makeScale(0, 0, 0),
+    axis: new THREE.Vector3(0, 0, 1)
+  }), [])
+  
+  // Food dropped by tapping - fish nearby swim over until it is gone
+  const food = useRef([])
+  const raycaster = useMemo(() => new THREE.Raycaster(), [])
+  
+  useImperativeHandle(ref, () => ({
+    dropFood: (clientX, clientY) => {
+      const pointer = new THREE.Vector2(
+        (clientX / window.innerWidth) * 2 - 1,
+        -(clientY / window.innerHeight) * 2 + 1
+      )
+      raycaster.setFromCamera(pointer, camera)
+      food.current.push(createFood(raycaster.ray, feedDuration))
+      
+      // The food lands with a small splash
+      if (waterRef?.current?.addDrop) {
+        waterRef.current.addDrop(clientX, clientY, 0.05, 0.8)
       }
     }
-    
-    const handleTouchEnd = () => {
-      mouseDown.current = false
-    }
-    
-    window.addEventListener('mousemove', handleMouseMove)
-    window.addEventListener('mousedown', handleMouseDown)
-    window.addEventListener('mouseup', handleMouseUp)
-    window.addEventListener('touchstart', handleTouchStart)
-    window.addEventListener('touchmove', handleTouchMove)
-    window.addEventListener('touchend', handleTouchEnd)
-    
-    return () => {
-      window.removeEventListener('mousemove', handleMouseMove)
-      window.removeEventListener('mousedown', handleMouseDown)
-      window.removeEventListener('mouseup', handleMouseUp)
-      window.removeEventListener('touchstart', handleTouchStart)
-      window.removeEventListener('touchmove', handleTouchMove)
-      window.removeEventListener('touchend', handleTouchEnd)
+  }))
+  
+  // Track mouse position and interaction state
+  // Fish only flee from drags - a plain tap is left for feeding
+  const isDragging = useRef(false)
+  
+  // Pointer position and drag state from the shared input manager
+  useGesture('pointer', (pointer) => {
+    if (pointer.pointerType === 'mouse' || pointer.isDown) {
+      mousePosition.current.x = (pointer.x / window.innerWidth) * 2 - 1
+      mousePosition.current.y = -(pointer.y / window.innerHeight) * 2 + 1
     }
-  }, [])
+  })
+  useGesture('drag', (drag) => {
+    // Fish wait for a longer drag than the strip before they react
+    if (Math.hypot(drag.deltaX, drag.deltaY) > DRAG_THRESHOLD) isDragging.current = true
+  })
+  useGesture('release', () => {
+    isDragging.current = false
+  })
   
   useFrame((state, delta) => {
     const worldMouseX = mousePosition.current.x * 16 // Scale to world coordinates
     const worldMouseY = mousePosition.current.y * 8
     
-    fishData.forEach((fish, index) => {
-      const fishRef = fishRefs.current[index]
-      if (!fishRef) return
+    stepFlock(activeFish, {
+      delta: Math.min(delta, 0.1), // Keep steering stable after tab switches
+      pointer: { x: worldMouseX, y: worldMouseY, isDown: isDragging.current },
+      food: food.current,
+      random: Math.random
+    })
+    
+    const meshes = meshRefs.current.slice(0, schools.length)
+    if (!meshes.every(Boolean)) return
+    const time = state.clock.elapsedTime
+    
+    activeFish.forEach((fish, index) => {
+      const mesh = meshes[fish.school]
       
-      // Handle spawn delay
+      // Hidden until its spawn delay has passed
       if (fish.spawnDelay > 0) {
-        fish.spawnDelay -= delta
-        fishRef.visible = false
+        mesh.setMatrixAt(fish.id, instance.hidden)
         return
-      } else {
-        fishRef.visible = true
-      }
-      
-      // Calculate distance to mouse for flee behavior (applies to all phases)
-      const distanceToMouse = Math.sqrt(
-        Math.pow(fish.position.x - worldMouseX, 2) + 
-        Math.pow(fish.position.y - worldMouseY, 2)
-      )
-      
-      // Flee behavior - works in any phase when mouse is down (clicking/dragging)
-      const fleeRadius = 5
-      if (mouseDown.current && distanceToMouse < fleeRadius && !fish.fleeState) {
-        fish.fleeState = true
-        fish.fleeTimer = 3 // Longer flee time
-        
-        const fleeDirection = new THREE.Vector3(
-          fish.position.x - worldMouseX,
-          fish.position.y - worldMouseY,
-          0
-        ).normalize()
-        
-        // Much faster flee speed
-        fish.velocity.copy(fleeDirection.multiplyScalar(2.0))
-      }
-      
-      // Handle flee state across all phases
-      if (fish.fleeState) {
-        fish.fleeTimer -= delta
-        if (fish.fleeTimer <= 0) {
-          fish.fleeState = false
-          // Return to normal behavior based on current phase
-          if (fish.phase === 'entering') {
-            const direction = fish.targetPosition.clone().sub(fish.position).normalize()
-            fish.velocity.copy(direction.multiplyScalar(0.3))
-          } else if (fish.phase === 'swimming') {
-            const angle = Math.random() * Math.PI * 2
-            fish.velocity.set(
-              Math.cos(angle) * 0.15,
-              Math.sin(angle) * 0.1,
-              0
-            )
-          }
-          // exiting phase keeps its velocity
-        }
-      } else {
-        // Normal phase behavior (only when not fleeing)
-        if (fish.phase === 'entering') {
-          // Swimming towards target position in center
-          const distanceToTarget = fish.position.distanceTo(fish.targetPosition)
-          
-          if (distanceToTarget < 1) {
-            fish.hasReachedTarget = true
-            fish.phase = 'swimming'
-            // Start gentle random swimming in center area
-            const angle = Math.random() * Math.PI * 2
-            fish.velocity.set(
-              Math.cos(angle) * 0.15,
-              Math.sin(angle) * 0.1,
-              0
-            )
-          } else {
-            // Continue towards target
-            const direction = fish.targetPosition.clone().sub(fish.position).normalize()
-            fish.velocity.copy(direction.multiplyScalar(0.3))
-          }
-          
-        } else if (fish.phase === 'swimming') {
-          // Gentle swimming in center area
-          fish.phaseTimer -= delta
-          
-          // Gentle direction changes (only when not fleeing)
-          if (Math.random() < delta * 0.3) { // 30% chance per second
-            const angle = Math.random() * Math.PI * 2
-            fish.velocity.set(
-              Math.cos(angle) * 0.15,
-              Math.sin(angle) * 0.1,
-              0
-            )
-          }
-          
-          // Time to exit?
-          if (fish.phaseTimer <= 0) {
-            fish.phase = 'exiting'
-            // Pick random exit edge
-            const edge = Math.floor(Math.random() * 4)
-            let exitTarget
-            switch(edge) {
-              case 0: exitTarget = new THREE.Vector3(fish.position.x, 10, fish.position.z); break
-              case 1: exitTarget = new THREE.Vector3(25, fish.position.y, fish.position.z); break
-              case 2: exitTarget = new THREE.Vector3(fish.position.x, -10, fish.position.z); break
-              case 3: exitTarget = new THREE.Vector3(-25, fish.position.y, fish.position.z); break
-            }
-            const exitDirection = exitTarget.sub(fish.position).normalize()
-            fish.velocity.copy(exitDirection.multiplyScalar(0.4))
-          }
-          
-        } else if (fish.phase === 'exiting') {
-          // Swimming towards edge
-          // Check if fish is far enough off screen to respawn
-          if (fish.position.x > 25 || fish.position.x < -25 || 
-              fish.position.y > 10 || fish.position.y < -10) {
-            // Respawn fish
-            fish.spawnDelay = 5 + Math.random() * 15 // Wait 5-20 seconds before respawning
-            
-            // Generate new spawn data
-            const spawnFromEdge = () => {
-              const edge = Math.floor(Math.random() * 4)
-              let startPos, targetPos
-              
-              // Random depth between -2 (close) and -20 (very far)
-              const fishDepth = -2 - Math.random() * 18
-              
-              switch(edge) {
-                case 0: // Top - spawn way above screen
-                  startPos = new THREE.Vector3(Math.random() * 60 - 30, 18, fishDepth)
-                  targetPos = new THREE.Vector3(Math.random() * 20 - 10, Math.random() * 4 - 2, fishDepth)
-                  break
-                case 1: // Right - spawn way right of screen
-                  startPos = new THREE.Vector3(35, Math.random() * 20 - 10, fishDepth)
-                  targetPos = new THREE.Vector3(Math.random() * 15 - 5, Math.random() * 6 - 3, fishDepth)
-                  break
-                case 2: // Bottom - spawn way below screen
-                  startPos = new THREE.Vector3(Math.random() * 60 - 30, -18, fishDepth)
-                  targetPos = new THREE.Vector3(Math.random() * 20 - 10, Math.random() * 4 - 2, fishDepth)
-                  break
-                case 3: // Left - spawn way left of screen
-                  startPos = new THREE.Vector3(-35, Math.random() * 20 - 10, fishDepth)
-                  targetPos = new THREE.Vector3(Math.random() * 15 - 5, Math.random() * 6 - 3, fishDepth)
-                  break
-              }
-              return { startPos, targetPos }
-            }
-            
-            const newSpawn = spawnFromEdge()
-            fish.position.copy(newSpawn.startPos)
-            fish.targetPosition.copy(newSpawn.targetPos)
-            fish.phase = 'entering'
-            fish.phaseTimer = 5 + Math.random() * 10
-            fish.hasReachedTarget = false
-            
-            const direction = fish.targetPosition.clone().sub(fish.position).normalize()
-            fish.velocity.copy(direction.multiplyScalar(0.3))
-          }
-        }
       }
       
-      // Update position
-      fish.position.add(fish.velocity.clone().multiplyScalar(delta))
-      
       // Calculate target rotation based on velocity
       if (fish.velocity.length() > 0.01) {
         // Adjust rotation to ensure fish always swims head-first
-        // Add PI because we rotated the model 180 degrees
+        // Add PI because the model is rotated 180 degrees
         fish.targetRotation = Math.atan2(fish.velocity.y, fish.velocity.x) + Math.PI
       }
       
@@ -432,11 +322,64 @@ export default function FishParticleSystem({ scrollY = 0 }) {
       
       fish.rotation += rotationDiff * delta * 3 // Smooth rotation
       
-      // Apply position and rotation to mesh with parallax effect
-      const parallaxY = scrollY * (0.001 * (1 + fish.position.z * -0.05)) // Parallax based on depth
-      fishRef.position.set(fish.position.x, fish.position.y + parallaxY, fish.position.z)
-      // Keep top-down view: X-rotation for top-down, Z-rotation for direction
-      fishRef.rotation.set(0, 0, fish.rotation)
+      // Position with parallax based on depth, Z-rotation for direction
+      const parallaxY = scrollY * (0.001 * (1 + fish.position.z * -0.05))
+      instance.position.set(fish.position.x, fish.position.y + parallaxY, fish.position.z)
+      instance.rotation.setFromAxisAngle(instance.axis, fish.rotation)
+      instance.scale.setScalar(fish.scale)
+      instance.matrix.compose(instance.position, instance.rotation, instance.scale).multiply(schools[fish.school].modelMatrix)
+      mesh.setMatrixAt(fish.id, instance.matrix)
+      
+      updateSwimAnimation(fish, index, time, delta)
+      mesh.geometry.attributes.aAnimTime.setX(fish.id, fish.swim.time)
+    })
+    
+    meshes.forEach((mesh, i) => {
+      mesh.count = activeCounts[i]
+      mesh.instanceMatrix.needsUpdate = true
+      mesh.geometry.attributes.aAnimTime.needsUpdate = true
+    })
+    
+    // Wakes - only the strongest few fish near the surface touch the water
+    const water = waterRef?.current
+    if (!water?.addWake || wakeLimit === 0) return
+    
+    const trails = wakeTrails.current
+    const wakingFish = new Set()
+    
+    activeFish
+      .map(fish => ({ fish, strength: fish.spawnDelay > 0 ? 0 : getWakeStrength(fish) }))
+      .filter(wake => wake.strength > 0)
+      .sort((a, b) => b.strength - a.strength)
+      .slice(0, wakeLimit)
+      .forEach(({ fish, strength }) => {
+        // The water is drawn over the camera image, so its UV space is the screen
+        meshes[fish.school].getMatrixAt(fish.id, instance.matrix)
+        wakePosition.setFromMatrixPosition(instance.matrix).project(camera)
+        if (Math.abs(wakePosition.x) > 1 || Math.abs(wakePosition.y) > 1) return
+        
+        wakingFish.add(fish)
+        let trail = trails.get(fish)
+        if (!trail) {
+          trail = { points: [], time: 0 }
+          trails.set(fish, trail)
+        }
+        trail.points.push({
+          x: (wakePosition.x + 1) * 0.5 * window.innerWidth,
+          y: (1 - wakePosition.y) * 0.5 * window.innerHeight
+        })
+        trail.time += delta
+        if (trail.time < WAKE_STROKE_TIME) return
+        
+        // Stronger wakes also spread a little wider
+        water.addWake(trail.points, { radius: 0.015 + Math.min(strength, 1) * 0.015, strength: strength * WAKE_STRENGTH })
+        trail.points = []
+        trail.time = 0
+      })
+    
+    // Fish that stopped waking lose their trail, so their next wake doesn't jump across the screen
+    trails.forEach((_, fish) => {
+      if (!wakingFish.has(fish)) trails.delete(fish)
     })
   })
   
@@ -455,21 +398,19 @@ export default function FishParticleSystem({ scrollY = 0 }) {
         color="white"
       />
       
-      {/* Render fish instances */}
-      {fishData.map((fish, index) => (
-        <group key={fish.id} ref={el => fishRefs.current[index] = el} renderOrder={-2}>
-          <FishWithAnimation 
-            scene={scene} 
-            animations={animations} 
-            fishIndex={index} 
-            fleeState={fish.fleeState}
-            velocity={fish.velocity}
-          />
-        </group>
+      {/* One instanced draw call per species */}
+      {schools.map((school, i) => (
+        <instancedMesh
+          key={`${school.species.id}-${counts[i]}`}
+          ref={(mesh) => { meshRefs.current[i] = mesh }}
+          args={[geometries[i], undefined, counts[i]]}
+          material={materials[i]}
+          frustumCulled={false}
+          renderOrder={-2}
+        />
       ))}
     </>
   )
-}
+})
 
-// Preload the model
-useGLTF.preload('./models/koi.glb')
\ No newline at end of file
+export default FishParticleSystem
@@ -0,0 +1,134 @@
+import * as THREE from 'three'
+
+// Baked vertex animation for instanced meshes
+// The koi swim cycle is a morph-target clip (one target per keyframe). Instances can't have
+// their own morph weights, so every keyframe is evaluated once into a float texture
+// (x: vertex, y: keyframe) and the vertex shader looks positions and normals up per instance
+
+// Evaluate the clip's morph weights at every keyframe into position and normal textures
+export const bakeMorphAnimation = (geometry, clip) => {
+    const track = clip.tracks.find(t => t.name.endsWith('.morphTargetInfluences'))
+    const morphPositions = geometry.morphAttributes.position
+    const morphNormals = geometry.morphAttributes.normal
+    if (!track || !morphPositions) return null
+
+    const basePositions = geometry.attributes.position
+    const baseNormals = geometry.attributes.normal
+    const vertexCount = basePositions.count
+    const targetCount = morphPositions.length
+    const frameCount = track.times.length
+    const relative = geometry.morphTargetsRelative
+
+    const positions = new Float32Array(vertexCount * frameCount * 4)
+    const normals = new Float32Array(vertexCount * frameCount * 4)
+    const position = new THREE.Vector3()
+    const normal = new THREE.Vector3()
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const weights = track.values.subarray(frame * targetCount, (frame + 1) * targetCount)
+
+        for (let vertex = 0; vertex < vertexCount; vertex++) {
+            position.fromBufferAttribute(basePositions, vertex)
+            normal.fromBufferAttribute(baseNormals, vertex)
+
+            // Same blend as three's morph targets - relative targets add deltas,
+            // absolute ones mix towards the target
+            const baseWeight = relative ? 1 : 1 - weights.reduce((sum, weight) => sum + weight, 0)
+            if (!relative) {
+                position.multiplyScalar(baseWeight)
+                normal.multiplyScalar(baseWeight)
+            }
+            for (let target = 0; target < targetCount; target++) {
+                const weight = weights[target]
+                if (weight === 0) continue
+                position.x += morphPositions[target].getX(vertex) * weight
+                position.y += morphPositions[target].getY(vertex) * weight
+                position.z += morphPositions[target].getZ(vertex) * weight
+                if (morphNormals) {
+                    normal.x += morphNormals[target].getX(vertex) * weight
+                    normal.y += morphNormals[target].getY(vertex) * weight
+                    normal.z += morphNormals[target].getZ(vertex) * weight
+                }
+            }
+            normal.normalize()
+
+            const offset = (frame * vertexCount + vertex) * 4
+            position.toArray(positions, offset)
+            normal.toArray(normals, offset)
+        }
+    }
+
+    const createTexture = (data) => {
+        const texture = new THREE.DataTexture(data, vertexCount, frameCount, THREE.RGBAFormat, THREE.FloatType)
+        texture.minFilter = THREE.NearestFilter
+        texture.magFilter = THREE.NearestFilter
+        texture.needsUpdate = true
+        return texture
+    }
+
+    return {
+        positions: createTexture(positions),
+        normals: createTexture(normals),
+        vertexCount,
+        frameCount,
+        duration: clip.duration
+    }
+}
+
+// Static copy of the geometry for instancing - morph attributes dropped, vertex index added
+// so the shader knows which texture column belongs to each vertex
+export const createBakedGeometry = (geometry, instanceCount) => {
+    const baked = new THREE.BufferGeometry()
+    baked.setIndex(geometry.index)
+    baked.setAttribute('position', geometry.attributes.position)
+    baked.setAttribute('normal', geometry.attributes.normal)
+    if (geometry.attributes.uv) {
+        baked.setAttribute('uv', geometry.attributes.uv)
+    }
+
+    const vertexIndices = new Float32Array(geometry.attributes.position.count).map((_, i) => i)
+    baked.setAttribute('aVertexIndex', new THREE.BufferAttribute(vertexIndices, 1))
+
+    // Per-instance animation time in seconds - each fish swims at its own speed and phase
+    const animTimes = new THREE.InstancedBufferAttribute(new Float32Array(instanceCount), 1)
+    animTimes.setUsage(THREE.DynamicDrawUsage)
+    baked.setAttribute('aAnimTime', animTimes)
+
+    return baked
+}
+
+// Patch a built-in material to read its vertices from the baked animation
+export const applyBakedAnimation = (material, bake) => {
+    material.onBeforeCompile = (shader) => {
+        shader.uniforms.uAnimPositions = { value: bake.positions }
+        shader.uniforms.uAnimNormals = { value: bake.normals }
+        shader.uniforms.uAnimDuration = { value: bake.duration }
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `
+                #include <common>
+                uniform sampler2D uAnimPositions;
+                uniform sampler2D uAnimNormals;
+                uniform float uAnimDuration;
+                attribute float aVertexIndex;
+                attribute float aAnimTime;
+            `)
+            .replace('#include <beginnormal_vertex>', `
+                // Blend the two keyframes around this instance's animation time (looping)
+                float animFrame = fract(aAnimTime / uAnimDuration) * ${bake.frameCount}.0;
+                int frameA = int(animFrame) % ${bake.frameCount};
+                int frameB = (frameA + 1) % ${bake.frameCount};
+                float frameMix = fract(animFrame);
+                ivec2 texelA = ivec2(int(aVertexIndex), frameA);
+                ivec2 texelB = ivec2(int(aVertexIndex), frameB);
+
+                vec3 objectNormal = normalize(mix(texelFetch(uAnimNormals, texelA, 0).xyz, texelFetch(uAnimNormals, texelB, 0).xyz, frameMix));
+            `)
+            .replace('#include <begin_vertex>', `
+                vec3 transformed = mix(texelFetch(uAnimPositions, texelA, 0).xyz, texelFetch(uAnimPositions, texelB, 0).xyz, frameMix);
+            `)
+    }
+    material.customProgramCacheKey = () => `baked-animation-${bake.vertexCount}-${bake.frameCount}`
+    material.needsUpdate = true
+    return material
+}
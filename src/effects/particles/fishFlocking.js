@@ -0,0 +1,371 @@
+import * as THREE from 'three'
+
+// Fish steering model - boids (separation, alignment, cohesion) plus wander, cursor flee,
+// feeding and the enter -> swim -> exit lifecycle through the viewport edges
+// Deterministic: no DOM, React or Math.random - all randomness comes from the random
+// function passed in, so a seeded generator replays the same swim
+
+// Tunables for one species - override per species with { ...DEFAULT_FLOCKING, ...overrides }
+export const DEFAULT_FLOCKING = {
+    maxSpeed: 0.35,         // cruising speed cap (world units per second)
+    minSpeed: 0.12,         // fish never stop completely - the swim animation needs movement
+    maxForce: 0.4,          // steering acceleration cap
+    neighborRadius: 4,      // fish closer than this (3D, so depth layers school separately) flock together
+    separationRadius: 1.2,  // fish closer than this push apart
+    separationWeight: 1.6,
+    alignmentWeight: 0.5,
+    cohesionWeight: 0.35,
+    wanderWeight: 0.4,
+    wanderJitter: 2.0,      // how quickly the wander heading drifts (radians per second)
+    fleeRadius: 5,          // cursor distance that scares a fish while the pointer is down
+    fleeSpeed: 2.0,
+    fleeDuration: 3,
+    feedRadius: 6,          // fish this close to dropped food (in their own depth layer) swim to it
+    feedWeight: 1.5,
+    feedSpeed: 1.2,         // fish dart to food faster than they cruise
+    feedArriveRadius: 1.5,  // fish slow down inside this radius and mill around the food
+    feedDuration: 5,        // seconds before the food is gone and the fish disperse
+    feedDisperseSpeed: 1.2,
+    feedDisperseDuration: 1.5,
+    swimBounds: { x: 10, y: 4 } // fish that have entered stay roughly inside this box
+}
+
+// Per-species tuning - each entry overrides any DEFAULT_FLOCKING key
+export const SPECIES_FLOCKING = {
+    koi: {}
+}
+
+export const getFlockingParams = (species, overrides = {}) => {
+    return { ...DEFAULT_FLOCKING, ...SPECIES_FLOCKING[species], ...overrides }
+}
+
+// Fish further out than this have left the screen and respawn
+const EXIT_BOUNDS = { x: 25, y: 10 }
+
+// Small, fast, seedable PRNG (mulberry32) - returns floats in [0, 1)
+export const createSeededRandom = (seed) => {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+// Start position way outside one of the four edges plus a target inside the screen
+export const spawnFromEdge = (random) => {
+    const edge = Math.floor(random() * 4) // 0=top, 1=right, 2=bottom, 3=left
+
+    // Random depth between -2 (close) and -20 (very far) for a strong fog effect
+    const fishDepth = -2 - random() * 18
+
+    let startPos, targetPos
+    switch (edge) {
+        case 0: // Top edge - spawn way above screen
+            startPos = new THREE.Vector3(random() * 60 - 30, 18, fishDepth)
+            targetPos = new THREE.Vector3(random() * 20 - 10, random() * 4 - 2, fishDepth)
+            break
+        case 1: // Right edge - spawn way right of screen
+            startPos = new THREE.Vector3(35, random() * 20 - 10, fishDepth)
+            targetPos = new THREE.Vector3(random() * 15 - 5, random() * 6 - 3, fishDepth)
+            break
+        case 2: // Bottom edge - spawn way below screen
+            startPos = new THREE.Vector3(random() * 60 - 30, -18, fishDepth)
+            targetPos = new THREE.Vector3(random() * 20 - 10, random() * 4 - 2, fishDepth)
+            break
+        default: // Left edge - spawn way left of screen
+            startPos = new THREE.Vector3(-35, random() * 20 - 10, fishDepth)
+            targetPos = new THREE.Vector3(random() * 15 - 5, random() * 6 - 3, fishDepth)
+            break
+    }
+
+    return { startPos, targetPos }
+}
+
+// Point just past a random edge at the fish's own depth
+const pickExitTarget = (fish, random) => {
+    const { x, y, z } = fish.position
+    switch (Math.floor(random() * 4)) {
+        case 0: return new THREE.Vector3(x, EXIT_BOUNDS.y + 2, z)
+        case 1: return new THREE.Vector3(EXIT_BOUNDS.x + 2, y, z)
+        case 2: return new THREE.Vector3(x, -EXIT_BOUNDS.y - 2, z)
+        default: return new THREE.Vector3(-EXIT_BOUNDS.x - 2, y, z)
+    }
+}
+
+// Put a fish back outside the screen, ready to enter again
+const respawn = (fish, random) => {
+    const spawn = spawnFromEdge(random)
+    fish.position.copy(spawn.startPos)
+    fish.targetPosition.copy(spawn.targetPos)
+    fish.velocity.copy(spawn.targetPos).sub(spawn.startPos).setZ(0).normalize().multiplyScalar(fish.params.maxSpeed)
+    fish.phase = 'entering'
+    fish.phaseTimer = 5 + random() * 10 // Time to spend in the centre before exiting
+    fish.fleeState = false
+    fish.fleeTimer = 0
+    fish.wanderAngle = random() * Math.PI * 2
+}
+
+// New fish state - params are the species' flocking tunables
+export const createFish = (id, random, params = DEFAULT_FLOCKING) => {
+    const fish = {
+        id,
+        params,
+        position: new THREE.Vector3(),
+        targetPosition: new THREE.Vector3(),
+        velocity: new THREE.Vector3(),
+        phase: 'entering', // entering, swimming, exiting
+        phaseTimer: 0,
+        fleeState: false,
+        fleeTimer: 0,
+        wanderAngle: 0,
+        spawnDelay: random() * 15 // Stagger fish spawning
+    }
+    respawn(fish, random)
+    return fish
+}
+
+// Food dropped at a screen point - stored as the camera ray through that point, so every
+// fish sees it straight above (or below) itself in its own depth layer
+export const createFood = (ray, duration = DEFAULT_FLOCKING.feedDuration) => ({
+    origin: ray.origin.clone(),
+    direction: ray.direction.clone(),
+    timer: duration
+})
+
+// Where the food ray crosses a fish's depth plane
+const getFoodPoint = (food, z, out) => {
+    const t = food.direction.z !== 0 ? (z - food.origin.z) / food.direction.z : 0
+    return out.copy(food.direction).multiplyScalar(t).add(food.origin)
+}
+
+// Reusable vectors - stepFlock runs every frame
+const separation = new THREE.Vector3()
+const alignment = new THREE.Vector3()
+const cohesion = new THREE.Vector3()
+const steering = new THREE.Vector3()
+const offset = new THREE.Vector3()
+const force = new THREE.Vector3()
+const foodPoint = new THREE.Vector3()
+
+// Steering towards a point at full speed
+const seek = (fish, target, out) => {
+    return out.copy(target).sub(fish.position).setZ(0).setLength(fish.params.maxSpeed).sub(fish.velocity)
+}
+
+// Boids forces from the fish's neighbours, written into steering
+const addFlockingForces = (fish, flock) => {
+    const params = fish.params
+    separation.set(0, 0, 0)
+    alignment.set(0, 0, 0)
+    cohesion.set(0, 0, 0)
+    let neighborCount = 0
+
+    flock.forEach(other => {
+        if (other === fish || other.spawnDelay > 0) return
+
+        offset.copy(fish.position).sub(other.position)
+        const distance = offset.length()
+        if (distance === 0 || distance > params.neighborRadius) return
+
+        // Push apart harder the closer they are - measured on screen (XY), so fish
+        // in neighbouring depth layers don't end up stacked on top of each other
+        const screenDistance = offset.setZ(0).length()
+        if (screenDistance > 0 && screenDistance < params.separationRadius) {
+            separation.add(offset.divideScalar(screenDistance * screenDistance))
+        }
+        alignment.add(other.velocity)
+        cohesion.add(other.position)
+        neighborCount++
+    })
+
+    if (separation.lengthSq() > 0) {
+        steering.add(separation.setLength(params.maxSpeed).sub(fish.velocity).multiplyScalar(params.separationWeight))
+    }
+    if (neighborCount > 0) {
+        alignment.divideScalar(neighborCount).setZ(0)
+        if (alignment.lengthSq() > 0) {
+            steering.add(alignment.setLength(params.maxSpeed).sub(fish.velocity).multiplyScalar(params.alignmentWeight))
+        }
+        cohesion.divideScalar(neighborCount)
+        steering.add(seek(fish, cohesion, force).multiplyScalar(params.cohesionWeight))
+    }
+}
+
+// Slowly drifting preferred heading so lone fish still meander
+const addWanderForce = (fish, random, delta) => {
+    const params = fish.params
+    fish.wanderAngle += (random() - 0.5) * params.wanderJitter * delta * 2
+    force.set(Math.cos(fish.wanderAngle), Math.sin(fish.wanderAngle), 0).multiplyScalar(params.maxSpeed)
+    steering.add(force.sub(fish.velocity).multiplyScalar(params.wanderWeight))
+}
+
+// Gentle pull back into the swim area
+const addContainmentForce = (fish) => {
+    const { swimBounds } = fish.params
+    if (Math.abs(fish.position.x) > swimBounds.x || Math.abs(fish.position.y) > swimBounds.y) {
+        steering.add(seek(fish, offset.set(0, 0, fish.position.z), force))
+    }
+}
+
+// Nearest food within reach of this fish, or null
+const findFood = (fish, food) => {
+    let nearest = null
+    let nearestDistance = fish.params.feedRadius
+    food.forEach(item => {
+        const distance = getFoodPoint(item, fish.position.z, foodPoint).distanceTo(fish.position)
+        if (distance < nearestDistance) {
+            nearest = item
+            nearestDistance = distance
+        }
+    })
+    return nearest
+}
+
+// Swim to the food, slowing down close to it so the fish crowd around instead of overshooting
+const addFeedingForce = (fish, item) => {
+    const params = fish.params
+    getFoodPoint(item, fish.position.z, foodPoint)
+    const distance = foodPoint.distanceTo(fish.position)
+    const desiredSpeed = params.feedSpeed * Math.min(1, distance / params.feedArriveRadius)
+    force.copy(foodPoint).sub(fish.position).setZ(0)
+    if (force.lengthSq() > 0) {
+        force.setLength(desiredSpeed)
+    }
+    steering.add(force.sub(fish.velocity).multiplyScalar(params.feedWeight))
+}
+
+// Food is gone - the fish that crowded around it scatter outwards
+const disperseFrom = (item, flock) => {
+    flock.forEach(fish => {
+        if (fish.spawnDelay > 0 || fish.fleeState) return
+        const params = fish.params
+        getFoodPoint(item, fish.position.z, foodPoint)
+        force.copy(fish.position).sub(foodPoint).setZ(0)
+        const distance = force.length()
+        if (distance > params.feedArriveRadius * 2) return
+
+        if (distance > 0) {
+            force.divideScalar(distance)
+        } else {
+            force.set(Math.cos(fish.wanderAngle), Math.sin(fish.wanderAngle), 0)
+        }
+        // A short, calm version of the flee dart
+        fish.velocity.copy(force).multiplyScalar(params.feedDisperseSpeed)
+        fish.wanderAngle = Math.atan2(force.y, force.x)
+        fish.fleeState = true
+        fish.fleeTimer = params.feedDisperseDuration
+    })
+}
+
+// Keep the speed between minSpeed and maxSpeed - easing down after a flee burst
+const limitSpeed = (fish, delta, maxSpeed = fish.params.maxSpeed) => {
+    const { minSpeed } = fish.params
+    const speed = fish.velocity.length()
+    if (speed > maxSpeed) {
+        fish.velocity.setLength(speed + (maxSpeed - speed) * Math.min(1, delta * 2))
+    } else if (speed < minSpeed) {
+        if (speed === 0) {
+            fish.velocity.set(Math.cos(fish.wanderAngle), Math.sin(fish.wanderAngle), 0)
+        }
+        fish.velocity.setLength(minSpeed)
+    }
+}
+
+// Advance the whole flock by delta seconds (mutates the fish and the food list in place)
+// pointer: { x, y, isDown } in world units, or null when there is no cursor
+// food: items from createFood - eaten up items are removed and the fish around them disperse
+export const stepFlock = (flock, { delta, pointer = null, food = [], random }) => {
+    for (let i = food.length - 1; i >= 0; i--) {
+        food[i].timer -= delta
+        if (food[i].timer <= 0) {
+            disperseFrom(food[i], flock)
+            food.splice(i, 1)
+        }
+    }
+
+    flock.forEach(fish => {
+        const params = fish.params
+
+        // Handle spawn delay
+        if (fish.spawnDelay > 0) {
+            fish.spawnDelay -= delta
+            return
+        }
+
+        // Flee behaviour - works in any phase while the pointer is down
+        if (pointer?.isDown && !fish.fleeState) {
+            const dx = fish.position.x - pointer.x
+            const dy = fish.position.y - pointer.y
+            const distance = Math.sqrt(dx * dx + dy * dy)
+            if (distance < params.fleeRadius) {
+                fish.fleeState = true
+                fish.fleeTimer = params.fleeDuration
+                if (distance > 0) {
+                    fish.velocity.set(dx / distance, dy / distance, 0).multiplyScalar(params.fleeSpeed)
+                } else {
+                    fish.velocity.set(Math.cos(fish.wanderAngle), Math.sin(fish.wanderAngle), 0).multiplyScalar(params.fleeSpeed)
+                }
+            }
+        }
+
+        steering.set(0, 0, 0)
+        const nearbyFood = fish.fleeState ? null : findFood(fish, food)
+
+        if (fish.fleeState) {
+            // Dart straight away - only keep clear of the others while doing so
+            fish.fleeTimer -= delta
+            if (fish.fleeTimer <= 0) {
+                fish.fleeState = false
+            }
+        } else if (nearbyFood) {
+            // Feeding overrides the phase goal - the school still keeps its spacing
+            addFeedingForce(fish, nearbyFood)
+            addFlockingForces(fish, flock)
+        } else if (fish.phase === 'entering') {
+            if (fish.position.distanceTo(fish.targetPosition) < 1) {
+                fish.phase = 'swimming'
+            } else {
+                steering.add(seek(fish, fish.targetPosition, force))
+            }
+            addFlockingForces(fish, flock)
+        } else if (fish.phase === 'swimming') {
+            addFlockingForces(fish, flock)
+            addWanderForce(fish, random, delta)
+            addContainmentForce(fish)
+
+            // Time to exit?
+            fish.phaseTimer -= delta
+            if (fish.phaseTimer <= 0) {
+                fish.phase = 'exiting'
+                fish.targetPosition.copy(pickExitTarget(fish, random))
+            }
+        } else if (fish.phase === 'exiting') {
+            steering.add(seek(fish, fish.targetPosition, force))
+            addFlockingForces(fish, flock)
+        }
+
+        if (!fish.fleeState) {
+            // Feeding fish may steer harder and swim faster
+            const maxForce = nearbyFood ? params.maxForce * params.feedWeight * 2 : params.maxForce
+            if (steering.length() > maxForce) {
+                steering.setLength(maxForce)
+            }
+            fish.velocity.add(steering.multiplyScalar(delta))
+            limitSpeed(fish, delta, nearbyFood ? params.feedSpeed : params.maxSpeed)
+        }
+
+        // Update position - fish stay in their depth layer
+        fish.velocity.z = 0
+        fish.position.addScaledVector(fish.velocity, delta)
+
+        // Far enough off screen to respawn?
+        if (fish.phase === 'exiting' &&
+            (Math.abs(fish.position.x) > EXIT_BOUNDS.x || Math.abs(fish.position.y) > EXIT_BOUNDS.y)) {
+            respawn(fish, random)
+            fish.spawnDelay = 5 + random() * 15 // Wait 5-20 seconds before respawning
+        }
+    })
+}
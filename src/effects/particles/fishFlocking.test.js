@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest'
+import { createFish, createSeededRandom, getFlockingParams, stepFlock } from './fishFlocking.js'
+
+// Swim a small flock for a few seconds and record where every fish ends up
+const simulate = (seed, { steps = 300, pointer = null } = {}) => {
+    const random = createSeededRandom(seed)
+    const params = getFlockingParams('koi')
+    const flock = Array.from({ length: 12 }, (_, id) => createFish(id, random, params))
+    flock.forEach(fish => { fish.spawnDelay = 0 })
+
+    for (let i = 0; i < steps; i++) {
+        stepFlock(flock, { delta: 1 / 60, pointer, random })
+    }
+
+    return flock.map(fish => ({
+        position: fish.position.toArray(),
+        velocity: fish.velocity.toArray(),
+        phase: fish.phase
+    }))
+}
+
+describe('stepFlock', () => {
+    it('replays the same swim for the same seed', () => {
+        expect(simulate(42)).toEqual(simulate(42))
+    })
+
+    it('replays the same swim with the pointer down', () => {
+        const pointer = { x: 0, y: 0, isDown: true }
+        expect(simulate(7, { pointer })).toEqual(simulate(7, { pointer }))
+    })
+
+    it('swims differently for another seed', () => {
+        expect(simulate(42)).not.toEqual(simulate(43))
+    })
+
+    it('moves the fish', () => {
+        const start = simulate(42, { steps: 0 })
+        const end = simulate(42)
+        expect(end).not.toEqual(start)
+        end.forEach(fish => fish.position.forEach(value => expect(Number.isFinite(value)).toBe(true)))
+    })
+})
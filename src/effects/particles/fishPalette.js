@@ -0,0 +1,98 @@
+import * as THREE from 'three'
+
+// Colour variants by material tinting
+// The koi texture is painted in three kinds of regions - white skin, red (hi) patches and
+// black (sumi) markings. A palette gives the colour each region should become, so the same
+// texture can read as kohaku, showa, ogon, ... Every instance carries its own palette
+
+// Region colours of the original texture - a palette equal to these leaves the fish unchanged
+export const REFERENCE_PALETTE = {
+    white: '#ffffff',
+    red: '#f0461e',
+    black: '#4a4e58'
+}
+
+const REGIONS = ['white', 'red', 'black']
+const ATTRIBUTE_NAMES = { white: 'aTintWhite', red: 'aTintRed', black: 'aTintBlack' }
+
+// Per-instance tint attributes - initialised to the untinted look
+export const addTintAttributes = (geometry, instanceCount) => {
+    REGIONS.forEach(region => {
+        const attribute = new THREE.InstancedBufferAttribute(new Float32Array(instanceCount * 3).fill(1), 3)
+        geometry.setAttribute(ATTRIBUTE_NAMES[region], attribute)
+    })
+    return geometry
+}
+
+// Multipliers (palette / reference) for one palette, in linear colour space
+export const getPaletteMultipliers = (palette = {}) => {
+    return REGIONS.reduce((multipliers, region) => {
+        const reference = new THREE.Color(REFERENCE_PALETTE[region])
+        const target = new THREE.Color(palette[region] || REFERENCE_PALETTE[region])
+        multipliers[region] = new THREE.Color(
+            target.r / Math.max(reference.r, 0.001),
+            target.g / Math.max(reference.g, 0.001),
+            target.b / Math.max(reference.b, 0.001)
+        )
+        return multipliers
+    }, {})
+}
+
+// Write one instance's palette into the tint attributes
+export const setInstancePalette = (geometry, index, multipliers) => {
+    REGIONS.forEach(region => {
+        const color = multipliers[region]
+        geometry.attributes[ATTRIBUTE_NAMES[region]].setXYZ(index, color.r, color.g, color.b)
+    })
+}
+
+// Patch a built-in material to tint its map per instance
+// Chains onto an existing onBeforeCompile (like the baked animation)
+export const applyPaletteTint = (material) => {
+    const previousOnBeforeCompile = material.onBeforeCompile
+    const previousCacheKey = material.customProgramCacheKey
+
+    material.onBeforeCompile = (shader, renderer) => {
+        previousOnBeforeCompile.call(material, shader, renderer)
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `
+                #include <common>
+                attribute vec3 aTintWhite;
+                attribute vec3 aTintRed;
+                attribute vec3 aTintBlack;
+                varying vec3 vTintWhite;
+                varying vec3 vTintRed;
+                varying vec3 vTintBlack;
+            `)
+            // uv_vertex, not begin_vertex - the baked animation replaces that one
+            .replace('#include <uv_vertex>', `
+                #include <uv_vertex>
+                vTintWhite = aTintWhite;
+                vTintRed = aTintRed;
+                vTintBlack = aTintBlack;
+            `)
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `
+                #include <common>
+                varying vec3 vTintWhite;
+                varying vec3 vTintRed;
+                varying vec3 vTintBlack;
+            `)
+            .replace('#include <map_fragment>', `
+                #include <map_fragment>
+
+                // Saturated texels are red patches, dark unsaturated ones sumi, the rest white skin
+                float tintSaturation = max(diffuseColor.r, max(diffuseColor.g, diffuseColor.b)) - min(diffuseColor.r, min(diffuseColor.g, diffuseColor.b));
+                float tintLuminance = dot(diffuseColor.rgb, vec3(0.2126, 0.7152, 0.0722));
+                float redMask = smoothstep(0.15, 0.4, tintSaturation);
+                float blackMask = (1.0 - redMask) * (1.0 - smoothstep(0.05, 0.25, tintLuminance));
+                float whiteMask = max(0.0, 1.0 - redMask - blackMask);
+                diffuseColor.rgb = min(diffuseColor.rgb * (vTintWhite * whiteMask + vTintRed * redMask + vTintBlack * blackMask), vec3(1.0));
+            `)
+    }
+    material.customProgramCacheKey = () => `${previousCacheKey.call(material)}-palette-tint`
+    material.needsUpdate = true
+    return material
+}
@@ -0,0 +1,536 @@
+import { useRef, useMemo, useEffect, useImperativeHandle, forwardRef } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import { getDeviceCapabilities } from '../../utils/deviceDetection.js'
+import { useContextRestoreCount } from '../../utils/webglContext.js'
+import { useGesture } from '../../utils/inputManager.js'
+
+// Quality tiers - keyed by getDeviceCapabilities().performanceTier
+// resolution: simulation buffer size, sceneSamples: MSAA samples for the scene capture,
+// scenePixelRatio: capture size relative to the canvas CSS size
+export const WATER_QUALITY = {
+    desktop: { resolution: 1024, sceneSamples: 4, scenePixelRatio: 1 },
+    mobile: { resolution: 512, sceneSamples: 2, scenePixelRatio: Math.min(window.devicePixelRatio || 1, 2) }
+}
+
+// Most contact points rippling at once - the mouse plus a full hand of touches
+export const MAX_WATER_POINTERS = 8
+
+// Scripted drops injected per simulation step - extra drops wait for the next frame
+export const MAX_WATER_DROPS = 16
+
+// Neighbour sampling distance in UV space - fixed so ripples spread at the same speed
+// whatever the buffer resolution is
+const SIM_TEXEL_SIZE = 1 / 256
+
+// Best render target type this context can draw into
+// Byte targets store values mapped from [-1,1] to [0,1], float targets store them directly
+const getSimulationTextureType = (gl) => {
+    const context = gl.getContext()
+
+    if (context instanceof WebGL2RenderingContext) {
+        return context.getExtension('EXT_color_buffer_float') ? THREE.FloatType : THREE.HalfFloatType
+    }
+
+    const halfFloatExt = context.getExtension('OES_texture_half_float')
+    const halfFloatLinearExt = context.getExtension('OES_texture_half_float_linear')
+    return halfFloatExt && halfFloatLinearExt ? THREE.HalfFloatType : THREE.UnsignedByteType
+}
+
+// Float targets only filter linearly with OES_texture_float_linear
+const getSimulationFilter = (gl, textureType) => {
+    if (textureType === THREE.FloatType) {
+        return gl.getContext().getExtension('OES_texture_float_linear') ? THREE.LinearFilter : THREE.NearestFilter
+    }
+    return textureType === THREE.UnsignedByteType ? THREE.LinearFilter : THREE.NearestFilter
+}
+
+const fullscreenVertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`
+
+// Shared GLSL helpers - decode/encode hide the byte-target value mapping
+const encodingChunk = (useByteEncoding) => `
+    vec4 decodeWater(vec4 value) {
+        ${useByteEncoding ? 'return value * 2.0 - 1.0;' : 'return value;'}
+    }
+
+    vec4 encodeWater(vec4 value) {
+        ${useByteEncoding ? 'return (value + 1.0) * 0.5;' : 'return value;'}
+    }
+`
+
+const createSimulationMaterial = (useByteEncoding) => {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            uPrevious: { value: null },
+            uTime: { value: 0 },
+            uPointers: { value: Array.from({ length: MAX_WATER_POINTERS }, () => new THREE.Vector3()) },
+            uDrops: { value: Array.from({ length: MAX_WATER_DROPS }, () => new THREE.Vector4()) },
+            uDropCount: { value: 0 },
+            uDelta: { value: 1.0 },
+            uTexel: { value: new THREE.Vector2(SIM_TEXEL_SIZE, SIM_TEXEL_SIZE) },
+            uDamping: { value: 0.995 },
+            uRippleRadius: { value: 0.075 },
+            uRippleStrength: { value: 0.5 },
+            uIdleWaveStrength: { value: 0.06 }
+        },
+        vertexShader: fullscreenVertexShader,
+        fragmentShader: `
+            uniform sampler2D uPrevious;
+            uniform float uTime;
+            uniform vec3 uPointers[${MAX_WATER_POINTERS}]; // xy: position in UV, z: 1.0 while pressed
+            uniform vec4 uDrops[${MAX_WATER_DROPS}]; // xy: position in UV, z: radius, w: strength
+            uniform int uDropCount;
+            uniform float uDelta;
+            uniform vec2 uTexel;
+            uniform float uDamping;
+            uniform float uRippleRadius;
+            uniform float uRippleStrength;
+            uniform float uIdleWaveStrength;
+            varying vec2 vUv;
+
+            ${encodingChunk(useByteEncoding)}
+
+            void main() {
+                // Get previous state
+                vec4 prev = decodeWater(texture2D(uPrevious, vUv));
+                float pressure = prev.x;
+                float velocity = prev.y;
+
+                // Sample neighbors
+                float left = decodeWater(texture2D(uPrevious, vUv - vec2(uTexel.x, 0.0))).x;
+                float right = decodeWater(texture2D(uPrevious, vUv + vec2(uTexel.x, 0.0))).x;
+                float up = decodeWater(texture2D(uPrevious, vUv + vec2(0.0, uTexel.y))).x;
+                float down = decodeWater(texture2D(uPrevious, vUv - vec2(0.0, uTexel.y))).x;
+
+                // Wave equation
+                float delta = min(uDelta, 1.0);
+                velocity += delta * (-2.0 * pressure + left + right) * 0.1875; // 0.25 * 0.75 = 0.1875
+                velocity += delta * (-2.0 * pressure + up + down) * 0.1875;
+
+                pressure += delta * velocity;
+
+                // Damping
+                velocity *= uDamping;
+                pressure *= 0.998;
+
+                // Pointer interaction - every pressed pointer injects its own ripple
+                for (int i = 0; i < ${MAX_WATER_POINTERS}; i++) {
+                    if (uPointers[i].z > 0.5) {
+                        float dist = distance(vUv, uPointers[i].xy);
+                        if (dist < uRippleRadius) {
+                            pressure += (1.0 - dist / uRippleRadius) * uRippleStrength;
+                        }
+                    }
+                }
+
+                // Scripted drops - applied once, for a single step
+                for (int i = 0; i < ${MAX_WATER_DROPS}; i++) {
+                    if (i >= uDropCount) break;
+                    float dist = distance(vUv, uDrops[i].xy);
+                    if (dist < uDrops[i].z) {
+                        pressure += (1.0 - dist / uDrops[i].z) * uDrops[i].w;
+                    }
+                }
+
+                // Idle deformation - multiple slow sine waves at different frequencies
+                float idleSpeed = 0.3;
+                float wave1 = sin(vUv.x * 12.0 + uTime * idleSpeed) * 0.4;
+                float wave2 = sin(vUv.y * 8.0 + uTime * idleSpeed * 0.7) * 0.3;
+                float wave3 = sin((vUv.x + vUv.y) * 6.0 + uTime * idleSpeed * 1.3) * 0.3;
+                pressure += (wave1 + wave2 + wave3) * uIdleWaveStrength;
+
+                // Calculate gradients for normals
+                float gradX = (right - left) * 0.5;
+                float gradY = (up - down) * 0.5;
+
+                gl_FragColor = encodeWater(vec4(pressure, velocity, gradX, gradY));
+            }
+        `
+    })
+}
+
+const createDisplayMaterial = (useByteEncoding) => {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            uWaterTexture: { value: null },
+            uSceneTexture: { value: null },
+            uTime: { value: 0 },
+            uAberrationPasses: { value: 3 }
+        },
+        vertexShader: fullscreenVertexShader,
+        fragmentShader: `
+            uniform sampler2D uWaterTexture;
+            uniform sampler2D uSceneTexture;
+            uniform float uTime;
+            uniform float uAberrationPasses;
+            varying vec2 vUv;
+
+            ${encodingChunk(useByteEncoding)}
+
+            void main() {
+                // Sample water simulation
+                vec4 water = decodeWater(texture2D(uWaterTexture, vUv));
+                float pressure = water.x;
+                float gradX = water.z;
+                float gradY = water.w;
+
+                float distortionStrength = 0.04;
+
+                vec2 distortion = vec2(gradX, gradY) * distortionStrength;
+                vec2 distortedUv = vUv + distortion;
+
+                // Chromatic aberration - sample RGB channels with slight offset
+                float aberrationStrength = 0.002; // Very subtle
+                vec2 aberrationOffset = distortion * aberrationStrength / distortionStrength;
+
+                // Clamp UVs to prevent edge artifacts
+                vec2 uvR = clamp(distortedUv + aberrationOffset, 0.0001, 0.9999);
+                vec2 uvG = clamp(distortedUv, 0.0001, 0.9999);
+                vec2 uvB = clamp(distortedUv - aberrationOffset, 0.0001, 0.9999);
+
+                // One pass on low quality tiers - plain refraction without the RGB split
+                vec4 sceneColor = texture2D(uSceneTexture, uvG);
+                if (uAberrationPasses > 1.5) {
+                    sceneColor.r = texture2D(uSceneTexture, uvR).r;
+                    sceneColor.b = texture2D(uSceneTexture, uvB).b;
+                }
+
+                // White fallback for empty pixels
+                if (sceneColor.a < 0.01) {
+                    sceneColor = vec4(1.0, 1.0, 1.0, 1.0);
+                }
+
+                // Subtle water color - almost white
+                vec3 waterColor = vec3(0.98, 0.99, 1.0);
+
+                // Calculate normal from gradients for lighting
+                vec3 normal = normalize(vec3(-gradX, 0.1, -gradY));
+                vec3 lightDir = normalize(vec3(-0.3, 1.0, 0.3));
+
+                // Specular highlight
+                float spec = pow(max(dot(normal, lightDir), 0.0), 60.0);
+
+                // Keep the deformation but only hint at the water itself
+                float effectStrength = 0.3;
+                float pressureStrength = 0.03;
+
+                vec3 finalColor = sceneColor.rgb * waterColor;
+                finalColor += vec3(spec) * effectStrength;
+                finalColor += pressure * pressureStrength;
+
+                gl_FragColor = vec4(finalColor, 1.0);
+            }
+        `,
+        transparent: false,
+        depthTest: false,
+        depthWrite: false
+    })
+}
+
+// Interactive water surface drawn over the whole scene
+// - ping-pong wave simulation + scene capture, displayed with refraction and chromatic aberration
+// - quality: tier from getDeviceCapabilities ('desktop' | 'mobile'), picks buffer sizes and MSAA
+// - resolution and sceneSamples override the tier's simulation buffer size and capture MSAA
+// - aberrationPasses: 3 splits RGB when refracting, 1 samples the scene once
+const Water = forwardRef(({
+    quality,
+    resolution,
+    sceneSamples,
+    aberrationPasses = 3,
+    damping = 0.995,
+    rippleRadius = 0.075,
+    rippleStrength = 0.5,
+    idleWaveStrength = 0.06
+}, ref) => {
+    const { gl, size, scene, camera } = useThree()
+    const meshRef = useRef()
+    // Active contact points by pointer id (from the input manager) - { x, y } in UV plus isDown
+    const pointers = useRef(new Map())
+    // Pending scripted drops - { x, y } in UV, radius in UV, strength
+    const drops = useRef([])
+    // Bumped when a lost WebGL context comes back - buffers and materials are rebuilt
+    const restoreCount = useContextRestoreCount()
+
+    const tier = useMemo(() => {
+        const tierName = quality || getDeviceCapabilities().performanceTier
+        return WATER_QUALITY[tierName] || WATER_QUALITY.desktop
+    }, [quality])
+    const simResolution = resolution || tier.resolution
+    const captureSamples = sceneSamples ?? tier.sceneSamples
+
+    // Move a pointer (client coordinates) - new pointers beyond the limit are ignored
+    const updatePointer = (id, x, y, isDown) => {
+        let pointer = pointers.current.get(id)
+        if (!pointer) {
+            if (pointers.current.size >= MAX_WATER_POINTERS) return
+            pointer = { x: 0.5, y: 0.5, isDown: false }
+            pointers.current.set(id, pointer)
+        }
+        pointer.x = x / window.innerWidth
+        pointer.y = 1.0 - (y / window.innerHeight)
+        pointer.isDown = isDown
+    }
+
+    const releasePointer = (id) => {
+        pointers.current.delete(id)
+    }
+
+    const textureType = useMemo(() => getSimulationTextureType(gl), [gl])
+    const useByteEncoding = textureType === THREE.UnsignedByteType
+
+    // Ping-pong buffers for the simulation + scene capture
+    const buffers = useMemo(() => {
+        const filtering = getSimulationFilter(gl, textureType)
+        const options = {
+            minFilter: filtering,
+            magFilter: filtering,
+            format: THREE.RGBAFormat,
+            type: textureType,
+            generateMipmaps: false
+        }
+
+        return {
+            read: new THREE.WebGLRenderTarget(simResolution, simResolution, options),
+            write: new THREE.WebGLRenderTarget(simResolution, simResolution, options),
+            scene: new THREE.WebGLRenderTarget(
+                Math.floor(size.width * tier.scenePixelRatio),
+                Math.floor(size.height * tier.scenePixelRatio),
+                {
+                    minFilter: THREE.LinearFilter,
+                    magFilter: THREE.LinearFilter,
+                    format: THREE.RGBAFormat,
+                    type: THREE.UnsignedByteType,
+                    samples: captureSamples,
+                    generateMipmaps: false
+                }
+            )
+        }
+    }, [gl, textureType, simResolution, captureSamples, tier, restoreCount]) // No size dependency - the capture is resized below
+
+    useEffect(() => {
+        return () => {
+            buffers.read.dispose()
+            buffers.write.dispose()
+            buffers.scene.dispose()
+        }
+    }, [buffers])
+
+    // Follow canvas resizes without restarting the simulation
+    useEffect(() => {
+        buffers.scene.setSize(
+            Math.floor(size.width * tier.scenePixelRatio),
+            Math.floor(size.height * tier.scenePixelRatio)
+        )
+    }, [buffers, size, tier])
+
+    const simMaterial = useMemo(() => createSimulationMaterial(useByteEncoding), [useByteEncoding, restoreCount])
+    const material = useMemo(() => createDisplayMaterial(useByteEncoding), [useByteEncoding, restoreCount])
+
+    useEffect(() => {
+        return () => {
+            simMaterial.dispose()
+            material.dispose()
+        }
+    }, [simMaterial, material])
+
+    // Tunables are plain uniforms, so changing them never rebuilds anything
+    useEffect(() => {
+        simMaterial.uniforms.uDamping.value = damping
+        simMaterial.uniforms.uRippleRadius.value = rippleRadius
+        simMaterial.uniforms.uRippleStrength.value = rippleStrength
+        simMaterial.uniforms.uIdleWaveStrength.value = idleWaveStrength
+        material.uniforms.uAberrationPasses.value = aberrationPasses
+    }, [simMaterial, material, damping, rippleRadius, rippleStrength, idleWaveStrength, aberrationPasses])
+
+    // Mouse and touch tracking from the shared input manager - every finger gets its own ripple
+    useGesture('pointer', (pointer) => {
+        // Lifted fingers are gone, the mouse keeps hovering
+        if (pointer.phase === 'up' && pointer.pointerType !== 'mouse') {
+            releasePointer(pointer.id)
+        } else {
+            updatePointer(pointer.id, pointer.x, pointer.y, pointer.isDown)
+        }
+    })
+
+    // Simulation scene - a single fullscreen quad
+    const simScene = useMemo(() => {
+        const scene = new THREE.Scene()
+        const geometry = new THREE.PlaneGeometry(2, 2)
+        const mesh = new THREE.Mesh(geometry, simMaterial)
+        scene.add(mesh)
+        return scene
+    }, [simMaterial])
+
+    const simCamera = useMemo(() => {
+        return new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1)
+    }, [])
+
+    // Queue a drop at client coordinates - radius and strength default to the pointer ripple
+    const addDrop = (x, y, radius = rippleRadius, strength = rippleStrength) => {
+        drops.current.push({
+            x: x / window.innerWidth,
+            y: 1.0 - (y / window.innerHeight),
+            radius,
+            strength
+        })
+    }
+
+    // Trail of drops along a path of client points ({ x, y }), spaced half a radius apart
+    // so the wake reads as one continuous disturbance
+    const addWake = (path, { radius = rippleRadius * 0.5, strength = rippleStrength * 0.3 } = {}) => {
+        if (!path || path.length === 0) return
+
+        const spacing = radius * 0.5 * Math.min(window.innerWidth, window.innerHeight)
+        addDrop(path[0].x, path[0].y, radius, strength)
+
+        for (let i = 1; i < path.length; i++) {
+            const from = path[i - 1]
+            const to = path[i]
+            const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / spacing))
+            for (let step = 1; step <= steps; step++) {
+                const t = step / steps
+                addDrop(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, radius, strength)
+            }
+        }
+    }
+
+    // Flatten the surface - byte targets store zero as 0.5
+    const reset = () => {
+        drops.current = []
+
+        const currentTarget = gl.getRenderTarget()
+        const clearColor = gl.getClearColor(new THREE.Color())
+        const clearAlpha = gl.getClearAlpha()
+        const zero = useByteEncoding ? 0.5 : 0
+
+        gl.setClearColor(new THREE.Color(zero, zero, zero), zero)
+        ;[buffers.read, buffers.write].forEach(target => {
+            gl.setRenderTarget(target)
+            gl.clear()
+        })
+        gl.setClearColor(clearColor, clearAlpha)
+        gl.setRenderTarget(currentTarget)
+    }
+
+    // New buffers (first mount, quality change, restored context) start flat
+    useEffect(() => {
+        reset()
+    }, [buffers])
+
+    // Expose the water to other systems (slider, gallery, fish)
+    useImperativeHandle(ref, () => ({
+        updateTouches,
+        releaseTouches,
+        addDrop,
+        addWake,
+        reset
+    }))
+
+    useFrame((state, delta) => {
+        // Clamp delta to prevent simulation instability
+        const clampedDelta = Math.min(delta * 60, 1.4)
+
+        const currentTarget = gl.getRenderTarget()
+
+        // 1. Update water simulation
+        try {
+            simMaterial.uniforms.uPrevious.value = buffers.read.texture
+            simMaterial.uniforms.uTime.value = state.clock.elapsedTime
+
+            // Unused slots stay released (z = 0)
+            const pointerUniforms = simMaterial.uniforms.uPointers.value
+            let slot = 0
+            pointers.current.forEach(pointer => {
+                pointerUniforms[slot++].set(pointer.x, pointer.y, pointer.isDown ? 1.0 : 0.0)
+            })
+            for (; slot < MAX_WATER_POINTERS; slot++) {
+                pointerUniforms[slot].set(0, 0, 0)
+            }
+
+            // Hand over as many queued drops as fit, the rest follow next frame
+            const dropUniforms = simMaterial.uniforms.uDrops.value
+            const frameDrops = drops.current.splice(0, MAX_WATER_DROPS)
+            frameDrops.forEach((drop, index) => {
+                dropUniforms[index].set(drop.x, drop.y, drop.radius, drop.strength)
+            })
+            simMaterial.uniforms.uDropCount.value = frameDrops.length
+
+            simMaterial.uniforms.uDelta.value = clampedDelta
+
+            gl.setRenderTarget(buffers.write)
+            gl.clear()
+            gl.render(simScene, simCamera)
+
+            const temp = buffers.read
+            buffers.read = buffers.write
+            buffers.write = temp
+        } catch (error) {
+            console.warn('Water simulation error, continuing...', error)
+        }
+
+        // 2. Scene capture (safe fallback if it fails)
+        try {
+            if (meshRef.current) {
+                meshRef.current.visible = false
+
+                // Make BarrelDistortionTemplate meshes AND text meshes visible during scene capture
+                const barrelDistortionMeshes = []
+                scene.traverse((child) => {
+                    // Original barrel distortion meshes (images)
+                    if (child.isMesh && child.material && child.material.uniforms && child.material.uniforms.uScrollVelocity) {
+                        barrelDistortionMeshes.push(child)
+                        child.visible = true
+                    }
+                    // Text meshes (troika Text objects)
+                    else if (child.isText || child.type === 'Text' || child.userData?.type === 'webgl-text') {
+                        barrelDistortionMeshes.push(child)
+                        child.visible = true
+                    }
+                })
+
+                gl.setRenderTarget(buffers.scene)
+                gl.setClearColor(new THREE.Color(1, 1, 1), 1.0)
+                gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT) // Clear both color and depth
+                gl.render(scene, camera)
+
+                // Hide BarrelDistortionTemplate meshes again after capture
+                barrelDistortionMeshes.forEach(mesh => {
+                    mesh.visible = false
+                })
+
+                meshRef.current.visible = true
+            }
+        } catch (error) {
+            console.warn('Scene capture error, continuing...', error)
+            if (meshRef.current) meshRef.current.visible = true
+        }
+
+        // 3. Update display material
+        material.uniforms.uWaterTexture.value = buffers.read.texture
+        material.uniforms.uSceneTexture.value = buffers.scene.texture
+        material.uniforms.uTime.value = state.clock.elapsedTime
+
+        gl.setRenderTarget(currentTarget)
+    })
+
+    return (
+        <mesh
+            ref={meshRef}
+            position={[0, 0, 10]}
+            frustumCulled={false}
+            renderOrder={9999}
+            raycast={() => null}
+        >
+            <planeGeometry args={[2, 2]} />
+            <primitive object={material} />
+        </mesh>
+    )
+})
+
+export default Water
@@ -1,53 +1,94 @@
 import './styles/style.css'
 import ReactDOM from 'react-dom/client'
 import { Canvas } from '@react-three/fiber'
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useCallback, useSyncExternalStore, Suspense } from 'react'
 import * as THREE from 'three'
 import { Perf } from 'r3f-perf'
 import FilmStripSlider from './sliders/FilmStripSlider.jsx'
+import ProjectGallery from './sliders/ProjectGallery.jsx'
 import UIOverlay from './components/UIOverlay.jsx'
-import SimpleWater from './effects/water/SimpleWater.jsx'
-import MobileWater from './effects/water/MobileWater.jsx'
+import Water from './effects/water/Water.jsx'
 import FishParticleSystem from './effects/particles/FishParticleSystem.jsx'
-import { getDeviceCapabilities } from './utils/deviceDetection.js'
+import { getDeviceCapabilities, supportsWebGL } from './utils/deviceDetection.js'
+import { QUALITY_TIERS, getTierRange } from './utils/qualityTiers.js'
 import ViewBasedProjects from './ViewBasedProjects.jsx'
+import AboutPage from './components/AboutPage.jsx'
+import ProjectErrorOverlay from './components/ProjectErrorOverlay.jsx'
+import Preloader from './components/Preloader.jsx'
+import QualityMonitor from './components/QualityMonitor.jsx'
+import QualityBadge from './components/QualityBadge.jsx'
+import ContextLossMonitor from './components/ContextLossMonitor.jsx'
+import RestoringOverlay from './components/RestoringOverlay.jsx'
+import FallbackPortfolio from './components/FallbackPortfolio.jsx'
+import { loadProjects } from './utils/loadProjects.js'
+import { validateFishConfig, sanitizeFishConfig, DEFAULT_FISH_SPECIES } from './utils/fishSchema.js'
+import { formatSchemaErrors } from './utils/schema.js'
+import { validateStripConfig, sanitizeStripConfig } from './utils/stripPathSchema.js'
+import { createAssetPreloader, getViewAssets } from './utils/assetPreloader.js'
+import { useRoute, getRoute, navigate, navigateBack, getProjectPath } from './utils/router.js'
+import { createInteractionMachine, interactionEvents, PHASES, CLOSING_STEPS } from './utils/interactionMachine.js'
+import { useGesture, useIdle, getInputManager, getFlickDirection } from './utils/inputManager.js'
 
 // No background color updater needed - keep everything white
 
+// How long the gallery takes to scale down - the strip reports when it has settled back itself
+const GALLERY_SCALE_DOWN_TIME = 550
+
+// Attract mode - how long the home page waits without input before the strip drifts by itself
+const ATTRACT_IDLE_TIME = 15000
+
 const root = ReactDOM.createRoot(document.querySelector('#root'))
 
 function App() {
-    // Check URL for template test
-    const urlParams = new URLSearchParams(window.location.search)
-    const templateTest = urlParams.get('template') === 'barrel-distortion'
+    const route = useRoute()
+    
+    // Browse/gallery lifecycle - everything below reads its phase from here
+    const [machine] = useState(() => createInteractionMachine())
+    const interaction = useSyncExternalStore(machine.subscribe, machine.getState)
+    const isGalleryPhase = interaction.phase === PHASES.GALLERY
+    const isClosing = interaction.phase === PHASES.CLOSING
+    const isScalingDownForReset = isClosing && interaction.step === CLOSING_STEPS.SCALING
+    const isTransitioning = interaction.phase === PHASES.OPENING
+    const isPostTransition = isGalleryPhase || isScalingDownForReset
+    const isReturningToSlider = isClosing
+    const isBrowsing = interaction.phase === PHASES.BROWSING || interaction.phase === PHASES.HOVER
+    const hoveredProject = interaction.phase === PHASES.HOVER ? interaction.project : null
+    const selectedProject = isGalleryPhase || isClosing ? interaction.project : null
+    const currentImageIndex = interaction.imageIndex
     
-    // If template test is requested, render the template instead of main app
-    if (templateTest) {
-        return <ViewBasedProjects />
-    }
-
-    const [currentProject, setCurrentProject] = useState(0)
-    const [hoveredProject, setHoveredProject] = useState(null)
     const [displayedProject, setDisplayedProject] = useState(null)
     const [isVisible, setIsVisible] = useState(false)
     const [highlightedProject, setHighlightedProject] = useState(null)
     const [isHighlightVisible, setIsHighlightVisible] = useState(false)
-    const [isPostTransition, setIsPostTransition] = useState(false)
-    const [selectedProject, setSelectedProject] = useState(null)
-    const [sliderKey, setSliderKey] = useState(0) // Key to force complete slider recreation
-    const [isScalingDownForReset, setIsScalingDownForReset] = useState(false)
-    const [initialOffset, setInitialOffset] = useState(0)
-    const [isTransitioning, setIsTransitioning] = useState(false)
-    const [isReturningToSlider, setIsReturningToSlider] = useState(false)
-    const [currentImageIndex, setCurrentImageIndex] = useState(0)
+    const [initialProjectIndex, setInitialProjectIndex] = useState(0) // Where the first strip starts
     const [projects, setProjects] = useState([])
     const [projectsLoaded, setProjectsLoaded] = useState(false)
-    const [isReturningFromGallery, setIsReturningFromGallery] = useState(false)
+    const [projectErrors, setProjectErrors] = useState([])
+    const [loadProgress, setLoadProgress] = useState(0)
+    const [isSceneReady, setIsSceneReady] = useState(false)
+    const [isPreloaderHidden, setIsPreloaderHidden] = useState(false)
+    const [playIntro, setPlayIntro] = useState(true) // Only the first film strip plays the intro
+    const [isContextLost, setIsContextLost] = useState(false)
+    const [announcement, setAnnouncement] = useState('') // Read out by screen readers
+    const [stripConfig, setStripConfig] = useState(() => sanitizeStripConfig(null)) // Paths from strip.json
+    const [stripPath, setStripPath] = useState(stripConfig.path)
+    const [fishSpecies, setFishSpecies] = useState(null) // Species from fish.json
     // Removed background color state - keeping everything white
+    const isAttracting = useIdle(ATTRACT_IDLE_TIME, {
+        enabled: route.name === 'home' && isBrowsing && isPreloaderHidden && !isContextLost
+    })
     const waterRef = useRef()
+    const fishRef = useRef()
+    const filmStripRef = useRef()
+    const pendingProjectIndex = useRef(null)
     
     // Device capabilities detection
     const [deviceCapabilities, setDeviceCapabilities] = useState(null)
+    
+    // Runtime quality - starts at the device's tier, then follows the measured frame rate
+    const [qualityTier, setQualityTier] = useState(null)
+    const tierRange = deviceCapabilities && getTierRange(deviceCapabilities.performanceTier)
+    const activeTier = QUALITY_TIERS[qualityTier ?? tierRange?.initial ?? QUALITY_TIERS.length - 1]
 
     // Detect device capabilities on mount
     useEffect(() => {
@@ -57,21 +98,91 @@ function App() {
 
     // Removed background color transition code
 
-    // Load projects data from JSON
+    // Preload projects.json, then every asset of the first view (covers, fish models, font)
+    // The scene only mounts once they're all in, so nothing pops in late
+    const preloaderRef = useRef(null)
     useEffect(() => {
-        fetch('./data/projects.json')
-            .then(response => response.json())
+        const preloader = createAssetPreloader(setLoadProgress)
+        preloaderRef.current = preloader
+        
+        // Fish species come from fish.json - a broken config falls back to the default koi
+        const fishModels = preloader.load({ url: './data/fish.json', type: 'json' })
             .then(data => {
-                setProjects(data.projects)
+                const errors = validateFishConfig(data)
+                if (errors.length > 0) {
+                    console.warn(`fish.json has problems:\n${formatSchemaErrors(errors)}`)
+                }
+                return sanitizeFishConfig(data)
+            })
+            .catch(error => {
+                console.error('Failed to load fish.json', error)
+                return DEFAULT_FISH_SPECIES
+            })
+            .then(species => {
+                setFishSpecies(species)
+                return species.map(entry => entry.model)
+            })
+        
+        // The strip's path comes from strip.json - a broken config falls back to the S-curve
+        // Read before the scene mounts, so the strip starts on its path instead of morphing to it
+        const stripConfigLoaded = preloader.load({ url: './data/strip.json', type: 'json' })
+            .then(data => {
+                const errors = validateStripConfig(data)
+                if (errors.length > 0) {
+                    console.warn(`strip.json has problems:\n${formatSchemaErrors(errors)}`)
+                }
+                return sanitizeStripConfig(data)
+            })
+            .catch(() => sanitizeStripConfig(null))
+            .then(config => {
+                setStripConfig(config)
+                setStripPath(config.path)
+            })
+        
+        loadProjects(url => preloader.load({ url, type: 'json' }))
+            .then(({ projects: validProjects, errors }) => {
+                // Schema problems also show in an overlay during development
+                if (errors.length > 0 && import.meta.env.DEV) {
+                    setProjectErrors(errors)
+                }
+                
+                // A missing cover or model shouldn't keep the site from opening
+                const viewAssetsLoaded = fishModels
+                    .then(models => Promise.all(getViewAssets(validProjects, getRoute(), models).map(asset => (
+                        preloader.load(asset).catch(error => console.warn(`Failed to preload ${asset.url}`, error))
+                    ))))
+                return Promise.all([viewAssetsLoaded, stripConfigLoaded]).then(() => validProjects)
+            })
+            .then(validProjects => {
+                // Deep links start with the strip centred on the linked project
+                const currentRoute = getRoute()
+                if (currentRoute.name === 'project') {
+                    const linkedIndex = validProjects.findIndex(p => p.id === currentRoute.id)
+                    setInitialProjectIndex(Math.max(linkedIndex, 0))
+                }
+                setProjects(validProjects)
                 setProjectsLoaded(true)
             })
             .catch(error => {
+                console.error('Failed to load projects.json', error)
+                if (import.meta.env.DEV) {
+                    setProjectErrors([{ path: '$', message: error.message, severity: 'error' }])
+                }
                 // Fallback to empty array if loading fails
                 setProjects([])
                 setProjectsLoaded(true)
             })
     }, [])
 
+    // The first view has read its assets from three's cache once the strip is built - a linked
+    // project's gallery only after its opening sweep - so the cache can go
+    const isFirstViewShown = (isSceneReady || (projectsLoaded && projects.length === 0)) && !isTransitioning
+    useEffect(() => {
+        if (!isFirstViewShown || !preloaderRef.current) return
+        preloaderRef.current.release()
+        preloaderRef.current = null
+    }, [isFirstViewShown])
+
     // Handle hover with synchronized fade animations for both description and index
     useEffect(() => {
         let fadeOutTimer
@@ -125,42 +236,129 @@ function App() {
         }
     }, [hoveredProject, displayedProject, isVisible])
 
+    // The strip started sweeping out towards a project
+    // The route it started on tells whether the URL moved on (Back, another link) by the time it's open
+    const openingRoutePath = useRef(null)
+    const handleTransitionStart = (projectData) => {
+        openingRoutePath.current = getRoute().path
+        machine.send(interactionEvents.open(projectData))
+    }
+    
     // Handle transition completion
     const handleTransitionComplete = (projectData, transitionComplete) => {
-        if (transitionComplete) {
-            setIsTransitioning(false)
-            setIsPostTransition(true)
-            setSelectedProject(projectData)
-            setCurrentImageIndex(0) // Reset to first image
-            // Clear hover states since we're in post-transition mode
-            setHoveredProject(null)
-            setDisplayedProject(null)
-            setIsVisible(false)
-            setHighlightedProject(null)
-            setIsHighlightVisible(false)
-        } else if (transitionComplete === false && projectData === null) {
-            // This shouldn't happen with new approach - we recreate slider instead
+        if (!transitionComplete) return
+        
+        // Opened from a project URL - keep the linked image, otherwise push the project URL
+        const currentRoute = getRoute()
+        const isLinkedProject = currentRoute.name === 'project' && currentRoute.id === projectData.id
+        if (!machine.send(interactionEvents.opened(projectData, isLinkedProject ? currentRoute.imageIndex : 0))) return
+        
+        if (!isLinkedProject) {
+            if (currentRoute.path === openingRoutePath.current) {
+                navigate(getProjectPath(projectData.id))
+            } else if (currentRoute.name === 'project') {
+                // Another project was linked during the sweep - the route sync already dropped unknown ids
+                const linkedProject = projects.find(p => p.id === currentRoute.id)
+                if (linkedProject) {
+                    machine.send(interactionEvents.selectProject(linkedProject, currentRoute.imageIndex))
+                }
+            } else {
+                // Back (or any other page) during the sweep - the gallery isn't wanted any more
+                machine.send(interactionEvents.close())
+            }
         }
+        // Clear hover states since we're in post-transition mode
+        setDisplayedProject(null)
+        setIsVisible(false)
+        setHighlightedProject(null)
+        setIsHighlightVisible(false)
     }
 
+    // Open a project through the film strip so route changes get the same sweep as a click
+    const openProjectFromRoute = (projectIndex) => {
+        if (filmStripRef.current) {
+            filmStripRef.current.openProject(projectIndex)
+        } else {
+            // Strip is not mounted yet (initial load or being rebuilt) - open once it attaches
+            pendingProjectIndex.current = projectIndex
+        }
+    }
+    
+    const setFilmStripRef = useCallback((handle) => {
+        filmStripRef.current = handle
+        if (handle && pendingProjectIndex.current !== null) {
+            const projectIndex = pendingProjectIndex.current
+            pendingProjectIndex.current = null
+            handle.openProject(projectIndex)
+        }
+    }, [])
+    
+    // Sync app state with the URL (deep links, browser back/forward)
+    useEffect(() => {
+        if (!projectsLoaded) return
+        
+        if (route.name === 'project') {
+            const projectIndex = projects.findIndex(p => p.id === route.id)
+            if (projectIndex === -1) {
+                navigate('/', { replace: true })
+                return
+            }
+            
+            const { phase, step } = machine.getState()
+            if (phase === PHASES.GALLERY) {
+                // Already in gallery mode - switch project and/or image in place
+                machine.send(interactionEvents.selectProject(projects[projectIndex], route.imageIndex))
+            } else if (phase === PHASES.CLOSING && step === CLOSING_STEPS.SCALING) {
+                // The strip is still swept out - open once it's back
+                pendingProjectIndex.current = projectIndex
+            } else if (phase !== PHASES.OPENING) {
+                openProjectFromRoute(projectIndex)
+            }
+            // While opening, the sweep reads the route again once it's done
+        } else if (route.name === 'home') {
+            if (machine.getState().phase === PHASES.GALLERY) {
+                handleBackToSlider()
+            }
+        }
+    }, [route, projectsLoaded])
+    
+    // Keep the URL pointing at the gallery image being shown
+    useEffect(() => {
+        if (!isGalleryPhase) return
+        navigate(getProjectPath(selectedProject.id, currentImageIndex), { replace: true })
+    }, [isGalleryPhase, selectedProject, currentImageIndex])
+    
+    // Ripple across the gallery whenever the shown image changes
+    const rippledImageIndex = useRef(currentImageIndex)
+    useEffect(() => {
+        if (rippledImageIndex.current === currentImageIndex) return
+        rippledImageIndex.current = currentImageIndex
+        
+        if (isPostTransition && waterRef.current) {
+            waterRef.current.addDrop(window.innerWidth / 2, window.innerHeight / 2, 0.25, 0.6)
+        }
+    }, [currentImageIndex, isPostTransition])
+    
+    // Tapping the water (anything but the strip) feeds the fish - only while browsing the strip
+    const handlePointerMissed = (event) => {
+        if (!isBrowsing) return
+        if (fishRef.current) {
+            fishRef.current.dropFood(event.clientX, event.clientY)
+        }
+    }
+    
     // Navigation throttling
     const [isNavigating, setIsNavigating] = useState(false)
     const navigationTimeout = useRef(null)
 
     // Gallery navigation functions with throttling
     const navigateGallery = (direction) => {
-        if (!selectedProject || !selectedProject.images || isNavigating) return
+        if (isNavigating) return
         
         // Set navigating state to prevent rapid navigation
+        if (!machine.send(interactionEvents.stepImage(direction === 'next' ? 1 : -1))) return
         setIsNavigating(true)
         
-        const totalImages = selectedProject.images.length
-        if (direction === 'next') {
-            setCurrentImageIndex((prev) => (prev + 1) % totalImages)
-        } else {
-            setCurrentImageIndex((prev) => (prev - 1 + totalImages) % totalImages)
-        }
-        
         // Clear existing timeout
         if (navigationTimeout.current) {
             clearTimeout(navigationTimeout.current)
@@ -172,181 +370,14 @@ function App() {
         }, 600) // 600ms delay between navigations
     }
 
-    // Handle full-screen gallery navigation
+    // Full-screen gallery navigation - gestures from the shared input manager
     useEffect(() => {
-        if (!isPostTransition) return
-
+        if (!isGalleryPhase) return
+        
         // Add gallery mode class to body
         document.body.classList.add('gallery-mode')
-
-        // Touch/swipe tracking
-        let touchStartX = 0
-        let touchStartY = 0
-        let touchStartTime = 0
-        let isSwiping = false
-        let lastWheelTime = 0
-        let touchHandled = false // Flag to prevent double handling
-
-        // Handle clicks (only for mouse, not touch)
-        const handleClick = (e) => {
-            // Ignore touch-triggered clicks - use multiple checks for reliability
-            if (e.pointerType === 'touch' || touchHandled) return
-            
-            // Additional check for touch events that might not have pointerType
-            if (e.type === 'touchend' || e.type === 'touchstart') return
-            
-            // Ignore if clicking on UI elements
-            if (e.target.closest('.ui-overlay')) {
-                // Check if it's the back button
-                if (e.target.classList.contains('back-button')) {
-                    return // Let the back button handle its own click
-                }
-                return // Ignore other UI clicks
-            }
-
-            // Navigate based on click position
-            const clickX = e.clientX
-            const screenWidth = window.innerWidth
-            
-            if (clickX > screenWidth / 2) {
-                navigateGallery('next')
-            } else {
-                navigateGallery('previous')
-            }
-        }
-
-        // Handle keyboard
-        const handleKeyDown = (e) => {
-            if (e.key === 'ArrowLeft') {
-                navigateGallery('previous')
-            } else if (e.key === 'ArrowRight') {
-                navigateGallery('next')
-            } else if (e.key === 'ArrowUp') {
-                navigateGallery('previous')
-            } else if (e.key === 'ArrowDown') {
-                navigateGallery('next')
-            }
-        }
-
-        // Handle touch start
-        const handleTouchStart = (e) => {
-            touchStartX = e.touches[0].clientX
-            touchStartY = e.touches[0].clientY
-            touchStartTime = Date.now()
-            isSwiping = false
-            touchHandled = false // Reset flag on new touch
-        }
-
-        // Handle touch move to detect if it's a swipe
-        const handleTouchMove = (e) => {
-            if (!touchStartTime) return
-            
-            const currentX = e.touches[0].clientX
-            const currentY = e.touches[0].clientY
-            const deltaX = Math.abs(currentX - touchStartX)
-            const deltaY = Math.abs(currentY - touchStartY)
-            
-            // If moved more than 10px, it's a swipe not a tap
-            if (deltaX > 10 || deltaY > 10) {
-                isSwiping = true
-            }
-        }
-
-        // Handle touch end for swipe
-        const handleTouchEnd = (e) => {
-            if (!touchStartTime) return
-
-            const touchEndX = e.changedTouches[0].clientX
-            const touchEndY = e.changedTouches[0].clientY
-            const touchDuration = Date.now() - touchStartTime
-
-            const deltaX = touchEndX - touchStartX
-            const deltaY = touchEndY - touchStartY
-            const absDeltaX = Math.abs(deltaX)
-            const absDeltaY = Math.abs(deltaY)
-
-            // Quick tap - treat as click (only if not swiping)
-            if (!isSwiping && touchDuration < 300 && absDeltaX < 20 && absDeltaY < 20) {
-                // Check if tapping on UI
-                if (e.target.closest('.ui-overlay')) return
-                
-                // Set flag to prevent duplicate click event
-                touchHandled = true
-                
-                if (touchEndX > window.innerWidth / 2) {
-                    navigateGallery('next')
-                } else {
-                    navigateGallery('previous')
-                }
-                
-                // Reset flag after a short delay to allow for the next interaction
-                setTimeout(() => {
-                    touchHandled = false
-                }, 100)
-                return
-            }
-
-            // Swipe detection
-            const minSwipeDistance = 50
-
-            if (isSwiping && (absDeltaX > minSwipeDistance || absDeltaY > minSwipeDistance)) {
-                if (absDeltaX > absDeltaY) {
-                    // Horizontal swipe
-                    if (deltaX > 0) {
-                        navigateGallery('previous') // Swipe right = go back
-                    } else {
-                        navigateGallery('next') // Swipe left = go forward
-                    }
-                } else {
-                    // Vertical swipe
-                    if (deltaY > 0) {
-                        navigateGallery('previous') // Swipe down = go back
-                    } else {
-                        navigateGallery('next') // Swipe up = go forward
-                    }
-                }
-            }
-            
-            // Reset
-            touchStartTime = 0
-            isSwiping = false
-        }
-
-        // Handle mouse wheel/scroll with throttling
-        const handleWheel = (e) => {
-            e.preventDefault()
-            
-            const now = Date.now()
-            const timeSinceLastWheel = now - lastWheelTime
-            
-            // Throttle wheel events (min 400ms between navigations)
-            if (timeSinceLastWheel < 400) return
-            
-            lastWheelTime = now
-            
-            // Navigate based on scroll direction
-            if (e.deltaY > 0) {
-                navigateGallery('next')
-            } else if (e.deltaY < 0) {
-                navigateGallery('previous')
-            }
-        }
-
-        // Add event listeners
-        document.addEventListener('click', handleClick)
-        document.addEventListener('keydown', handleKeyDown)
-        document.addEventListener('touchstart', handleTouchStart)
-        document.addEventListener('touchmove', handleTouchMove, { passive: false })
-        document.addEventListener('touchend', handleTouchEnd)
-        document.addEventListener('wheel', handleWheel, { passive: false })
-
+        
         return () => {
-            document.removeEventListener('click', handleClick)
-            document.removeEventListener('keydown', handleKeyDown)
-            document.removeEventListener('touchstart', handleTouchStart)
-            document.removeEventListener('touchmove', handleTouchMove)
-            document.removeEventListener('touchend', handleTouchEnd)
-            document.removeEventListener('wheel', handleWheel)
             document.body.classList.remove('gallery-mode')
             
             // Cleanup navigation timeout
@@ -354,64 +385,115 @@ function App() {
                 clearTimeout(navigationTimeout.current)
             }
         }
-    }, [isPostTransition, selectedProject])
-
-    // Handle transition start (triggered from WebGLSlider)
-    const handleTransitionStart = () => {
-        setIsTransitioning(true)
+    }, [isGalleryPhase])
+    
+    // Clicks and touch taps on the right half go forward, on the left half back - the UI keeps its own clicks
+    // A mouse or pen click pages however long the button was held, as long as it didn't drag
+    const pageFromPoint = (x, target) => {
+        if (target?.closest?.('.ui-overlay')) return
+        navigateGallery(x > window.innerWidth / 2 ? 'next' : 'previous')
     }
-
-    // Handle back button click to return to slider - 3 phase transition
-    const handleBackToSlider = () => {
-        // Calculate initial offset to center the selected project
-        const selectedIndex = projects.findIndex(p => p.name === selectedProject.name)
-        const isMobile = window.innerWidth <= 768
-        const itemWidth = isMobile ? 2.3 : 3.5 // Same as in WebGLSlider
-        const calculatedOffset = selectedIndex * itemWidth
-        setInitialOffset(calculatedOffset)
+    
+    useGesture('release', (release) => {
+        if (release.pointerType === 'touch' || release.wasDrag) return
+        pageFromPoint(release.x, release.target)
+    }, { enabled: isGalleryPhase })
+    
+    useGesture('tap', (tap) => {
+        if (tap.pointerType !== 'touch') return
+        pageFromPoint(tap.x, tap.target)
+    }, { enabled: isGalleryPhase })
+    
+    // Touch swipes left or up go forward, right or down go back - any speed, only the distance counts
+    useGesture('dragend', (drag) => {
+        if (drag.pointerType !== 'touch') return
+        if (Math.hypot(drag.deltaX, drag.deltaY) < getInputManager().getThresholds().flickDistance) return
         
-        // PHASE 1: Start returning process and scale down selected image
-        setIsReturningToSlider(true) // This triggers UI fade-out
-        setIsScalingDownForReset(true) // This triggers scale-down of selected image
-        setIsReturningFromGallery(true) // Mark that we're returning from gallery
+        const direction = getFlickDirection(drag.deltaX, drag.deltaY)
+        navigateGallery(direction === 'left' || direction === 'up' ? 'next' : 'previous')
+    }, { enabled: isGalleryPhase })
+    
+    useGesture('wheel', (wheel) => wheel.preventDefault(), { enabled: isGalleryPhase })
+    useGesture('wheelstep', (step) => {
+        navigateGallery(step.direction > 0 ? 'next' : 'previous')
+    }, { enabled: isGalleryPhase })
+    
+    useGesture('key', (key) => {
+        if (key.key === 'ArrowLeft' || key.key === 'ArrowUp') {
+            navigateGallery('previous')
+        } else if (key.key === 'ArrowRight' || key.key === 'ArrowDown') {
+            navigateGallery('next')
+        }
+    }, { enabled: isGalleryPhase })
+    
+    // Development only - P cycles the strip through every path, presets and strip.json's own
+    useGesture('key', (key) => {
+        if (key.key !== 'p' || key.altKey || key.ctrlKey || key.metaKey) return
+        const names = Object.keys(stripConfig.paths)
+        setStripPath(names[(names.indexOf(stripPath) + 1) % names.length])
+    }, { enabled: import.meta.env.DEV && isBrowsing })
+
+    // Handle back button click to return to slider
+    const handleBackToSlider = () => {
+        if (machine.getState().phase !== PHASES.GALLERY) return
         
-        // PHASE 2: After scale-down completes, recreate slider
-        setTimeout(() => {
-            setIsPostTransition(false) // Exit post-transition mode
-            // Keep selectedProject active during transition to prevent jump
-            
-            // Reset hover states
-            setHoveredProject(null)
-            setDisplayedProject(null)
-            setIsVisible(false)
-            setHighlightedProject(null)
-            setIsHighlightVisible(false)
-            
-            // Small delay before recreating slider to ensure smooth transition
-            setTimeout(() => {
-                setSliderKey(prev => prev + 1) // Force complete slider recreation
-                setIsScalingDownForReset(false) // Stop scale down state
-                
-                // PHASE 3: After slider expands completely, fade UI back in
-                setTimeout(() => {
-                    setIsReturningToSlider(false) // This triggers UI fade-in
-                    setSelectedProject(null) // Now safe to clear selected project
-                    setCurrentImageIndex(0) // Reset image index
-                    setIsReturningFromGallery(false) // Reset the return flag
-                }, 1500) // Match expand animation duration
-            }, 100) // Small delay for state propagation
-        }, 550) // Slightly faster to match animation
+        // Fades the UI out and scales the gallery down
+        machine.send(interactionEvents.close())
     }
+    
+    // Once the gallery has scaled down the strip comes back centred on the project that was open
+    // The UI fades back in when the strip reports it has settled
+    useEffect(() => {
+        return machine.subscribe((state, previousState) => {
+            if (previousState.step === CLOSING_STEPS.SCALING && state.step === CLOSING_STEPS.SETTLING) {
+                const selectedIndex = projects.findIndex(p => p.id === state.project.id)
+                filmStripRef.current?.reset(Math.max(selectedIndex, 0))
+                setDisplayedProject(null)
+                setIsVisible(false)
+                setHighlightedProject(null)
+                setIsHighlightVisible(false)
+            }
+        })
+    }, [machine, projects])
+    
+    // A project linked while the gallery was scaling down opens once the strip is back - after
+    // the reset has rendered, so the strip no longer counts as swept out
+    useEffect(() => {
+        if (interaction.step !== CLOSING_STEPS.SETTLING || pendingProjectIndex.current === null) return
+        
+        const projectIndex = pendingProjectIndex.current
+        pendingProjectIndex.current = null
+        openProjectFromRoute(projectIndex)
+    }, [interaction.step])
+    
+    // The scale-down ends on a timer matched to its animation, cancelled if the phase moves on first
+    useEffect(() => {
+        if (interaction.step !== CLOSING_STEPS.SCALING) return
+        
+        const timer = setTimeout(() => machine.send(interactionEvents.scaledDown()), GALLERY_SCALE_DOWN_TIME)
+        return () => clearTimeout(timer)
+    }, [interaction.step])
+
+    // The scene rebuilds its own GPU resources on restore - three resets the clear color though
+    const handleContextLost = useCallback(() => setIsContextLost(true), [])
+    const handleContextRestored = useCallback((gl) => {
+        gl.setClearColor('#ffffff')
+        setIsContextLost(false)
+    }, [])
 
-    // Don't render until projects are loaded
+    // Covers the page while loading, then fades out as the film strip intro plays
+    // (an empty strip has no intro, so the scene counts as ready straight away)
+    const preloader = !isPreloaderHidden && (
+        <Preloader
+            progress={loadProgress}
+            isComplete={projectsLoaded && (isSceneReady || projects.length === 0)}
+            onHidden={() => setIsPreloaderHidden(true)}
+        />
+    )
+    
+    // Don't render the scene until the first view's assets are loaded
     if (!projectsLoaded) {
-        return <div style={{ 
-            display: 'flex', 
-            justifyContent: 'center', 
-            alignItems: 'center', 
-            height: '100vh',
-            fontFamily: 'PSTimesTrial, serif'
-        }}>Loading...</div>
+        return preloader
     }
 
     return (
@@ -425,16 +507,16 @@ function App() {
                     alpha: false,
                     antialias: !deviceCapabilities?.shouldUseMobileWater,
                     powerPreference: 'high-performance',
-                    pixelRatio: deviceCapabilities?.shouldUseMobileWater ? Math.min(window.devicePixelRatio, 2) : window.devicePixelRatio,
                     // Proper color management for accurate texture colors
                     outputColorSpace: THREE.SRGBColorSpace,
                     toneMapping: THREE.NoToneMapping,
                     toneMappingExposure: 1.0
                 }}
-                dpr={deviceCapabilities?.shouldUseMobileWater ? [1, 2] : [1, 3]}
+                dpr={[1, activeTier.dpr]}
                 // Enable multi-sample antialiasing
                 frameloop="always"
                 flat={false}
+                onPointerMissed={handlePointerMissed}
                 onCreated={({ scene, gl }) => {
                     // Add fog - push back fog start for mobile to keep front images clear
                     const isMobile = window.innerWidth <= 768
@@ -450,24 +532,60 @@ function App() {
                 {/* No background color updater needed */}
                 
                 {/* Layer 1: Fish (bottom) */}
-                <FishParticleSystem />
+                {fishSpecies && <FishParticleSystem ref={fishRef} species={fishSpecies} waterRef={waterRef} quality={deviceCapabilities?.performanceTier} count={activeTier.fishCount} />}
                 
                 {/* Layer 2: Film Strip Slider */}
                 <FilmStripSlider 
+                    ref={setFilmStripRef}
                     projects={projects}
-                    onHover={setHoveredProject}
+                    onHover={(project) => machine.send(interactionEvents.hover(project))}
                     waterRef={waterRef}
-                    onTransitionStart={setIsTransitioning}
+                    onTransitionStart={handleTransitionStart}
+                    onTransitionComplete={handleTransitionComplete}
                     onBackgroundColorChange={null}
+                    initialProjectIndex={initialProjectIndex}
+                    aberrationPasses={activeTier.aberrationPasses}
+                    playIntro={playIntro}
+                    onSettle={() => machine.send(interactionEvents.settled())}
+                    attract={isAttracting}
+                    path={stripConfig.paths[stripPath]}
+                    onKeyboardFocus={(project, index) => {
+                        setAnnouncement(`${project.title || project.name}, project ${index + 1} of ${projects.length}`)
+                    }}
+                    onReady={() => {
+                        setIsSceneReady(true)
+                        setPlayIntro(false)
+                    }}
+                />
+                
+                {/* Gallery view for the project opened from the film strip */}
+                {selectedProject && (isPostTransition || isScalingDownForReset) && (
+                    <Suspense fallback={null}>
+                        <ProjectGallery
+                            project={selectedProject}
+                            currentImageIndex={currentImageIndex}
+                            isScalingDownForReset={isScalingDownForReset}
+                        />
+                    </Suspense>
+                )}
+                
+                {/* Layer 3: Water (top) - quality follows the device and runtime tiers */}
+                <Water
+                    ref={waterRef}
+                    quality={deviceCapabilities?.performanceTier}
+                    resolution={activeTier.waterResolution}
+                    sceneSamples={activeTier.sceneSamples}
+                    aberrationPasses={activeTier.aberrationPasses}
                 />
                 
-                {/* Layer 3: Water (top) - Use appropriate water shader based on device */}
-                {deviceCapabilities?.shouldUseMobileWater ? (
-                    <MobileWater ref={waterRef} />
-                ) : (
-                    <SimpleWater ref={waterRef} />
+                {/* Steps the quality tier with the measured frame rate */}
+                {tierRange && (
+                    <QualityMonitor initialTier={tierRange.initial} maxTier={tierRange.max} onChange={setQualityTier} />
                 )}
                 
+                {/* Shows the restoring state while the WebGL context is lost */}
+                <ContextLossMonitor onLost={handleContextLost} onRestored={handleContextRestored} />
+                
                 {/* Performance Monitor */}
                 <Perf position="top-left" />
             </Canvas>
@@ -482,10 +600,45 @@ function App() {
                 isReturningToSlider={isReturningToSlider}
                 selectedProject={selectedProject}
                 currentImageIndex={currentImageIndex}
-                onBackToSlider={handleBackToSlider}
+                onBackToSlider={() => navigateBack('/')}
+                announcement={announcement}
             />
+            {projectErrors.length > 0 && (
+                <ProjectErrorOverlay errors={projectErrors} onDismiss={() => setProjectErrors([])} />
+            )}
+            {/* Quality tier readout for development only */}
+            {import.meta.env.DEV && <QualityBadge tier={activeTier} />}
+            {isContextLost && <RestoringOverlay />}
+            {preloader}
         </>
     )
 }
 
-root.render(<App />)
\ No newline at end of file
+function Root() {
+    const route = useRoute()
+    // The WebGL scene is an enhancement - without WebGL the same projects are shown as plain HTML
+    const [hasWebGL] = useState(supportsWebGL)
+    
+    // Unknown URLs fall back to the home page
+    useEffect(() => {
+        if (route.name === 'not-found') {
+            navigate('/', { replace: true })
+        }
+    }, [route])
+    
+    if (route.name === 'about') {
+        return <AboutPage />
+    }
+    
+    if (!hasWebGL) {
+        return <FallbackPortfolio />
+    }
+    
+    if (route.name === 'lab-barrel') {
+        return <ViewBasedProjects />
+    }
+    
+    return <App />
+}
+
+root.render(<Root />)
\ No newline at end of file
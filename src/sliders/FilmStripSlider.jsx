@@ -1,30 +1,223 @@
-import React, { useRef, useMemo, useEffect, useState } from 'react'
+import React, { useRef, useMemo, useEffect, useState, useImperativeHandle, forwardRef } from 'react'
 import { useFrame, useThree } from '@react-three/fiber'
 import * as THREE from 'three'
+import { isVideoEntry, getPosterSrc, createVideoElement, playVideo, pauseVideo, disposeVideo, isDocumentVisible, pauseVideosWhenHidden } from '../utils/media.js'
+import { useContextRestoreCount } from '../utils/webglContext.js'
+import { useGesture } from '../utils/inputManager.js'
+import { STRIP_PATH_PRESETS, DEFAULT_STRIP_PATH } from '../utils/stripPathSchema.js'
 
-// Custom shader material for the film strip effect
-const createFilmStripMaterial = (tiles = [], isMobile = false) => {
-  const tilesCount = Math.max(tiles.length, 1)
-  const aspect = 24 / 3.3  // Slightly narrower for perfect square
+// Tile mapping - the one formula the shader, clicks, hover, snapping and the video tiles share
+// tilePosition = (u + TILE_ORIGIN + offset * OFFSET_SCALE) * TILE_SCALING, with u running along
+// the strip (0..1). The integer part is the tile, which wraps around the projects
+const TILE_SCALING = (24 / 3.3) * 1.2
+const TILE_ORIGIN = 1000.0 // Keeps positions positive for any reasonable offset
+const OFFSET_SCALE = 0.01
+
+const getTilePosition = (u, offset) => (u + TILE_ORIGIN + offset * OFFSET_SCALE) * TILE_SCALING
+const getTileAt = (u, offset) => Math.floor(getTilePosition(u, offset))
+const getProjectIndexForTile = (tile, projectCount) => ((tile % projectCount) + projectCount) % projectCount
+// Offset that puts the given tile position at u
+const getOffsetForTilePosition = (tilePosition, u = 0.5) => (tilePosition / TILE_SCALING - u - TILE_ORIGIN) / OFFSET_SCALE
+
+// Same mapping for the shader
+const TILE_MAPPING_GLSL = `
+  float getTilePosition(float u, float offset) {
+    return (u + ${TILE_ORIGIN.toFixed(1)} + offset * ${OFFSET_SCALE}) * ${TILE_SCALING};
+  }
+`
+
+// Intro when the site first opens - the strip is revealed in the exit sweep's direction
+// while it glides in and settles on the initial project
+const INTRO_DELAY = 0.3 // seconds - lets the preloader start fading first
+const INTRO_DURATION = 1.8
+const INTRO_SLIDE_DISTANCE = 20 // offset units the strip travels while revealing
+
+// Keyboard navigation - tiles moved by PageUp/PageDown, and how quickly the focus frame fades
+const KEYBOARD_PAGE_STEP = 5
+const FOCUS_FADE_SPEED = 0.15
+
+// Settling - how close the strip has to be to its target, and how slow, to count as at rest
+const SETTLE_DISTANCE = 0.01 // offset units
+const SETTLE_VELOCITY = 0.05 // offset units per second - slower counts as stopped when reporting velocity
+const RESET_SLIDE_DISTANCE = 10 // offset units a reset strip glides in from
+
+// Strip geometry - segments along the path, rows across it, and the strip's width
+// The mobile strip runs top to bottom and is shorter to fit the narrow screen
+const STRIP_SEGMENTS = 300
+const STRIP_ROWS = 32
+const FILM_WIDTH = 3.2
+const MOBILE_PATH_SCALE = 2 / 3
+const PATH_MORPH_DURATION = 1.2 // seconds
+
+// Vertex positions for the strip grid (PlaneGeometry's layout) laid along a path from strip.json
+// Columns are spaced evenly by length, so every tile on a path is the same size (square when
+// the path is STRIP_PATH_LENGTH long), and the width follows the path's up vector made square
+// to the direction of travel, so tiles stay upright
+const createStripPositions = (path, isMobile) => {
+  // Mobile swaps x and y - the strip runs down the screen - and comes forward a little
+  const toScene = ([x, y, z]) => (isMobile
+    ? new THREE.Vector3(y, x * MOBILE_PATH_SCALE, z + 0.5)
+    : new THREE.Vector3(x, y, z))
+  const up = isMobile
+    ? new THREE.Vector3(path.up[1], path.up[0], path.up[2]).normalize()
+    : new THREE.Vector3(...path.up).normalize()
+  
+  const curve = new THREE.CatmullRomCurve3(path.points.map(toScene), path.closed, 'catmullrom', 0.5)
+  const positions = new Float32Array((STRIP_SEGMENTS + 1) * (STRIP_ROWS + 1) * 3)
+  const point = new THREE.Vector3()
+  const tangent = new THREE.Vector3()
+  const across = new THREE.Vector3()
+  const towardsCamera = new THREE.Vector3(0, 0, 1)
+  
+  for (let column = 0; column <= STRIP_SEGMENTS; column++) {
+    const u = column / STRIP_SEGMENTS
+    curve.getPointAt(u, point)
+    curve.getTangentAt(u, tangent)
+    
+    across.copy(up).addScaledVector(tangent, -up.dot(tangent))
+    if (across.lengthSq() < 1e-6) {
+      // Path runs along up - face the camera instead
+      across.crossVectors(tangent, towardsCamera)
+    }
+    across.normalize()
+    
+    // Rows run from the top edge (+0.5) to the bottom edge (-0.5)
+    for (let row = 0; row <= STRIP_ROWS; row++) {
+      const width = (0.5 - row / STRIP_ROWS) * FILM_WIDTH
+      const index = (row * (STRIP_SEGMENTS + 1) + column) * 3
+      positions[index] = point.x + across.x * width
+      positions[index + 1] = point.y + across.y * width
+      positions[index + 2] = point.z + across.z * width
+    }
+  }
+  
+  return positions
+}
+
+// Attract mode - drift speed between projects, how long it rests on each, and how often
+// a rest starts with a ripple
+const ATTRACT_DRIFT_SPEED = 3 // offset units per second (a tile is about 11.5)
+const ATTRACT_PAUSE = 4 // seconds
+const ATTRACT_RIPPLE_CHANCE = 0.35
+
+// Hover highlight - how much the other tiles lose their colour, and how quickly it fades
+const HOVER_DESATURATION = 0.6
+const HOVER_FADE_SPEED = 0.12
+
+// Tile (absolute, not wrapped to the project count) under the screen centre at the given offset
+const getCenterTile = (offset) => getTileAt(0.5, offset)
+
+// Offset that places the given project index exactly at screen center
+const getCenteredOffsetForIndex = (index, projectCount) => {
+  if (projectCount === 0) return 0
+
+  // Tile center sitting at screen center when offset is 0
+  const baseTile = Math.round(getTilePosition(0.5, 0) - 0.5)
+
+  // Nearest tile (in either direction) that maps to the requested project
+  let shift = (((index - baseTile) % projectCount) + projectCount) % projectCount
+  if (shift > projectCount / 2) shift -= projectCount
+
+  return getOffsetForTilePosition(baseTile + shift + 0.5)
+}
+
+// Draw an image or video frame into a square layer canvas
+// Array textures can't use flipY, so flip while drawing instead
+const drawTileLayer = (ctx, source, layerSize) => {
+  ctx.save()
+  ctx.fillStyle = '#cccccc'
+  ctx.fillRect(0, 0, layerSize, layerSize)
+  
+  if (source) {
+    ctx.translate(0, layerSize)
+    ctx.scale(1, -1)
+    ctx.drawImage(source, 0, 0, layerSize, layerSize)
+  }
+  ctx.restore()
+}
+
+// Tile texture resolution - a tile covers at most about this share of the screen's short side
+// (desktop and mobile alike), so layers are sized to that many device pixels, rounded up to a
+// multiple of LAYER_SIZE_STEP and kept between the two limits
+const TILE_SCREEN_SHARE = 0.6
+const LAYER_SIZE_STEP = 128
+const MIN_LAYER_SIZE = 256
+const MAX_LAYER_SIZE = 1024
+
+const getTileLayerSize = (maxTextureSize) => {
+  const shortSide = Math.min(window.innerWidth, window.innerHeight) * Math.min(window.devicePixelRatio || 1, 2)
+  const size = Math.ceil(shortSide * TILE_SCREEN_SHARE / LAYER_SIZE_STEP) * LAYER_SIZE_STEP
+  return Math.min(Math.max(size, MIN_LAYER_SIZE), MAX_LAYER_SIZE, maxTextureSize)
+}
+
+// Pack every project cover into one layer of a DataArrayTexture so the shader
+// samples a single texture no matter how many projects there are
+const createTileArrayTexture = (images = [], layerSize = 1024) => {
+  const layerCount = Math.max(images.length, 1)
+  const layerBytes = layerSize * layerSize * 4
+  const data = new Uint8Array(layerBytes * layerCount)
   
-  // Generate texture sampling loop
-  const tilesLoop = Array.from({length: tilesCount}, (_, tID) => {
-    return `
-      if (tileID == ${tID}) { tileColor = texture2D(tiles[${tID}], tileUV); }
-    `
-  }).join("")
+  const canvas = document.createElement('canvas')
+  canvas.width = canvas.height = layerSize
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
   
+  images.forEach((image, layer) => {
+    drawTileLayer(ctx, image, layerSize)
+    data.set(ctx.getImageData(0, 0, layerSize, layerSize).data, layer * layerBytes)
+  })
+  
+  const texture = new THREE.DataArrayTexture(data, layerSize, layerSize, layerCount)
+  texture.format = THREE.RGBAFormat
+  texture.type = THREE.UnsignedByteType
+  // Ensure correct color space for accurate colors
+  texture.colorSpace = THREE.SRGBColorSpace
+  texture.generateMipmaps = false // Disable mipmaps for sharper images
+  texture.wrapS = THREE.ClampToEdgeWrapping
+  texture.wrapT = THREE.ClampToEdgeWrapping
+  texture.minFilter = THREE.LinearFilter
+  texture.magFilter = THREE.LinearFilter
+  texture.needsUpdate = true
+  // The GPU keeps its own copy - drop the pixels once they're uploaded (a context restore rebuilds the texture)
+  texture.onUpdate = () => {
+    texture.image.data = null
+  }
+  
+  return texture
+}
+
+// Project indices of every tile drawn on the strip at the given offset
+const getTileIndicesOnStrip = (offset, projectCount) => {
+  const indices = new Set()
+  if (projectCount === 0) return indices
+  
+  const firstTile = getTileAt(0, offset)
+  const lastTile = getTileAt(1, offset)
+  for (let tile = firstTile; tile <= lastTile; tile++) {
+    indices.add(getProjectIndexForTile(tile, projectCount))
+  }
+  return indices
+}
+
+// Custom shader material for the film strip effect
+const createFilmStripMaterial = (isMobile = false) => {
   const material = new THREE.ShaderMaterial({
     uniforms: {
       time: { value: 0 },
-      tiles: { value: tiles.length > 0 ? tiles : [new THREE.Texture()] },
+      tiles: { value: null },
+      uTileCount: { value: 1 },
       uVelo: { value: 0 },
       uIsMobile: { value: isMobile ? 1.0 : 0.0 },
       fogColor: { value: new THREE.Color(0xffffff) },
       fogNear: { value: isMobile ? 8 : 5 },
       fogFar: { value: isMobile ? 18 : 15 },
       uIsTransitioning: { value: 0 },
-      uSweepPosition: { value: -25 }
+      uSweepPosition: { value: -25 },
+      uIntroProgress: { value: 1 },
+      uAberrationPasses: { value: 3 },
+      uFocusTile: { value: 0 },
+      uFocusStrength: { value: 0 },
+      uHoverTile: { value: 0 },
+      uHoverStrength: { value: 0 }
     },
     vertexShader: `
       uniform float uVelo;
@@ -60,7 +253,8 @@ const createFilmStripMaterial = (tiles = [], isMobile = false) => {
     `,
     fragmentShader: `
       uniform float time;
-      uniform sampler2D tiles[${tilesCount}];
+      uniform sampler2DArray tiles;
+      uniform float uTileCount;
       uniform float uVelo;
       uniform float uIsMobile;
       uniform vec3 fogColor;
@@ -68,12 +262,27 @@ const createFilmStripMaterial = (tiles = [], isMobile = false) => {
       uniform float fogFar;
       uniform float uIsTransitioning;
       uniform float uSweepPosition;
+      uniform float uIntroProgress;
+      uniform float uAberrationPasses;
+      uniform float uFocusTile;
+      uniform float uFocusStrength;
+      uniform float uHoverTile;
+      uniform float uHoverStrength;
       varying vec2 vUv;
       varying float vFogDepth;
       varying float vWorldX;
       varying float vWorldY;
       
+      ${TILE_MAPPING_GLSL}
+      
       void main() {
+        // Intro reveal - pixels appear once the reveal edge has passed them
+        if (uIntroProgress < 1.0) {
+          float revealCoord = uIsMobile > 0.5 ? vWorldY : vWorldX;
+          float revealPosition = uIsMobile > 0.5 ? -15.0 + uIntroProgress * 30.0 : -25.0 + uIntroProgress * 50.0;
+          if (revealCoord > revealPosition) discard;
+        }
+        
         // Calculate chromatic aberration - always present with base amount
         float baseAberration = 0.003; // Always subtle RGB split
         float velocityAberration = abs(uVelo) * 0.001; // Minimal additional based on movement
@@ -82,10 +291,8 @@ const createFilmStripMaterial = (tiles = [], isMobile = false) => {
         float aberrationStrength = baseAberration + velocityAberration;
         aberrationStrength = min(aberrationStrength, 0.006); // Very low maximum for extreme subtlety
         
-        vec2 globalUV = (vUv + vec2(1000. + time * 0.01, 0.));
-        vec2 tilesUV = globalUV * vec2(${aspect * 1.2}, 1.);
-        float tileIndex = mod(floor(tilesUV.x), ${tilesCount}.0);
-        int tileID = int(tileIndex);
+        vec2 tilesUV = vec2(getTilePosition(vUv.x, time), vUv.y);
+        float tileIndex = mod(floor(tilesUV.x), uTileCount);
         
         vec2 tileUV = fract(tilesUV);
         
@@ -110,6 +317,14 @@ const createFilmStripMaterial = (tiles = [], isMobile = false) => {
         tileUV.x = (tileUV.x - gapSize) / (1.0 - 2.0 * gapSize);
         tileUV.y = vUv.y;
         
+        // Keyboard focus - a thin frame just inside the edges of the focused tile
+        float focusFrame = 0.0;
+        if (uFocusStrength > 0.0 && abs(floor(tilesUV.x) - uFocusTile) < 0.5) {
+          vec2 edgeDistance = min(tileUV, 1.0 - tileUV);
+          float frameWidth = 0.025;
+          focusFrame = (1.0 - smoothstep(frameWidth - 0.004, frameWidth, min(edgeDistance.x, edgeDistance.y))) * uFocusStrength;
+        }
+        
         // Rotate texture coordinates 90 degrees counterclockwise for mobile
         if (uIsMobile > 0.5) {
           vec2 center = vec2(0.5, 0.5);
@@ -123,8 +338,8 @@ const createFilmStripMaterial = (tiles = [], isMobile = false) => {
         
         vec4 tileColor = vec4(0);
         
-        // Always apply chromatic aberration (base + velocity)
-        if (aberrationStrength > 0.0) {
+        // Always apply chromatic aberration (base + velocity) - skipped on low quality tiers
+        if (aberrationStrength > 0.0 && uAberrationPasses > 1.5) {
           vec4 rChannel = vec4(0);
           vec4 gChannel = vec4(0);
           vec4 bChannel = vec4(0);
@@ -134,16 +349,13 @@ const createFilmStripMaterial = (tiles = [], isMobile = false) => {
           vec2 bUV = tileUV - vec2(aberrationStrength, 0.0);
           
           // Sample each channel with offset
-          ${Array.from({length: tilesCount}, (_, tID) => `
-          if (tileID == ${tID}) { 
-            rChannel = texture2D(tiles[${tID}], rUV);
-            gChannel = texture2D(tiles[${tID}], gUV);
-            bChannel = texture2D(tiles[${tID}], bUV);
-          }`).join("")}
+          rChannel = texture(tiles, vec3(rUV, tileIndex));
+          gChannel = texture(tiles, vec3(gUV, tileIndex));
+          bChannel = texture(tiles, vec3(bUV, tileIndex));
           
           tileColor = vec4(rChannel.r, gChannel.g, bChannel.b, gChannel.a);
         } else {
-          ${tilesLoop}
+          tileColor = texture(tiles, vec3(tileUV, tileIndex));
         }
         
         // Calculate fade transition
@@ -164,6 +376,14 @@ const createFilmStripMaterial = (tiles = [], isMobile = false) => {
           }
         }
         
+        // Pointer hover - the other tiles lose some colour so the hovered one stands out
+        if (uHoverStrength > 0.0 && abs(floor(tilesUV.x) - uHoverTile) > 0.5) {
+          float grey = dot(tileColor.rgb, vec3(0.2126, 0.7152, 0.0722));
+          tileColor.rgb = mix(tileColor.rgb, vec3(grey), ${HOVER_DESATURATION.toFixed(2)} * uHoverStrength);
+        }
+        
+        tileColor.rgb = mix(tileColor.rgb, vec3(0.0), focusFrame);
+        
         // Apply fog
         float fogFactor = smoothstep(fogNear, fogFar, vFogDepth);
         vec3 finalColor = mix(tileColor.rgb, fogColor, fogFactor);
@@ -188,10 +408,9 @@ const createFilmStripMaterial = (tiles = [], isMobile = false) => {
     this.uniforms.uVelo.value = velocity
   }
   
-  material.updateTiles = function(tiles) {
-    if (tiles.length > 0) {
-      this.uniforms.tiles.value = tiles
-    }
+  material.updateTiles = function(tiles, tileCount) {
+    this.uniforms.tiles.value = tiles
+    this.uniforms.uTileCount.value = Math.max(tileCount, 1)
   }
   
   material.updateTransition = function(isTransitioning, progress, isMobile = false) {
@@ -208,15 +427,42 @@ const createFilmStripMaterial = (tiles = [], isMobile = false) => {
     }
   }
   
+  material.updateAberrationPasses = function(passes) {
+    this.uniforms.uAberrationPasses.value = passes
+  }
+  
+  material.updateIntro = function(progress) {
+    this.uniforms.uIntroProgress.value = progress
+  }
+  
+  material.updateHover = function(tile, strength) {
+    this.uniforms.uHoverTile.value = tile
+    this.uniforms.uHoverStrength.value = strength
+  }
+  
+  material.updateFocus = function(tile, strength) {
+    this.uniforms.uFocusTile.value = tile
+    this.uniforms.uFocusStrength.value = strength
+  }
+  
   // Removed fog color update function
   
   return material
 }
 
-const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart, onBackgroundColorChange }) => {
+// playIntro: reveal the strip with the intro once its tiles are ready (first visit only)
+// onReady: called once the tile texture is built - the strip can be shown
+// aberrationPasses: 3 splits RGB on the tiles, 1 samples them once (runtime quality tier)
+// onSettle(index): the strip came to rest on the project at index
+// onVelocityChange(velocity): strip speed in offset units per second, reported when it changes
+// attract: drift through the projects by itself, resting on each - turning it off snaps back to manual control
+// path: { points, closed, up } from strip.json (see stripPathSchema.js) - changing it morphs the strip
+const FilmStripSlider = forwardRef(({ projects = [], onHover, waterRef, onTransitionStart, onTransitionComplete, onBackgroundColorChange, initialProjectIndex = 0, playIntro = false, onReady, onKeyboardFocus, onSettle, onVelocityChange, attract = false, path = STRIP_PATH_PRESETS[DEFAULT_STRIP_PATH], aberrationPasses = 3 }, ref) => {
   const meshRef = useRef()
-  const [textures, setTextures] = useState([])
+  const [tileTexture, setTileTexture] = useState(null)
   const { gl } = useThree()
+  // Bumped when a lost WebGL context comes back - tiles and material are rebuilt, the offset refs stay
+  const restoreCount = useContextRestoreCount()
   
   // Detect mobile
   const [isMobile, setIsMobile] = useState(false)
@@ -233,15 +479,21 @@ const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart,
   // Use refs for real-time values like WebGLSlider
   const isDragging = useRef(false)
   const dragStart = useRef({ x: 0, y: 0, offset: 0 })
-  const targetOffset = useRef(0)
-  const currentOffset = useRef(0)
-  const velocity = useRef(0)
+  const initialOffset = useMemo(() => getCenteredOffsetForIndex(initialProjectIndex, projects.length), [])
+  const targetOffset = useRef(initialOffset)
+  const currentOffset = useRef(initialOffset)
+  const velocity = useRef(0) // Measured offset units per second, for onVelocityChange
   const sliderSpeed = useRef(0)
   const smoothedSpeed = useRef(0) // Extra smoothing layer like WebGLSlider
-  const lastOffset = useRef(0)
+  const lastOffset = useRef(initialOffset)
+  const hasSettled = useRef(false) // onSettle already reported for the current rest
   const lastMouseY = useRef(0)
   const lastMoveTime = useRef(0)
   
+  // Intro state - progress stays at 1 when the strip mounts without an intro
+  const introProgress = useRef(playIntro ? 0 : 1)
+  const introStartTime = useRef(null)
+  
   // Center snapping state
   const isSnapping = useRef(false)
   const snapTimeout = useRef(null)
@@ -253,22 +505,8 @@ const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart,
   
   // Center snapping functions
   const calculateNearestSnapPosition = (currentPos, direction = 0) => {
-    const itemWidth = isMobile ? 2.3 : 3.5 // Same spacing as used elsewhere
-    
-    // The shader maps UV coordinates to tile positions
-    // At screen center (vUv.x = 0.5), we want a project to be perfectly centered
-    // We need to calculate what offset value will place a project exactly at screen center
-    
-    // From shader: tilesUV = (vUv + vec2(1000. + time * 0.01, 0.)) * vec2(aspect * 1.2, 1.)
-    // At screen center vUv.x = 0.5, so we want: (0.5 + 1000.0 + offset * 0.01) * aspect * 1.2
-    // to align with a project boundary
-    
-    const aspect = 24 / 3.3
-    const tileScaling = aspect * 1.2
-    
-    // Calculate which tile index is currently closest to screen center
-    const centerUV = 0.5 + 1000.0 + currentPos * 0.01
-    const centerTilePos = centerUV * tileScaling
+    // At screen center (vUv.x = 0.5) we want a project to be perfectly centered
+    const centerTilePos = getTilePosition(0.5, currentPos)
     
     // We want to snap to the CENTER of a tile, not the edge
     // Tile centers are at 0.5, 1.5, 2.5, etc.
@@ -285,12 +523,8 @@ const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart,
       targetTileCenter = Math.round(centerTilePos - 0.5) + 0.5
     }
     
-    // Calculate what offset would place this tile center perfectly at screen center
-    // targetTileCenter = (0.5 + 1000.0 + targetOffset * 0.01) * tileScaling
-    // Solve for targetOffset:
-    const targetOffset = (targetTileCenter / tileScaling - 0.5 - 1000.0) / 0.01
-    
-    return targetOffset
+    // Offset that places this tile center perfectly at screen center
+    return getOffsetForTilePosition(targetTileCenter)
   }
   
   const startSnapping = () => {
@@ -316,308 +550,267 @@ const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart,
     }, 300) // Longer delay to let natural movement happen first
   }
   
-  // Create curved geometry
+  // Strip geometry - the grid is built once per layout, the path only moves its vertices
   const geometry = useMemo(() => {
-    const splineSegments = 300
-    const filmWidth = isMobile ? 3.2 : 3.2 // Same size for both mobile and desktop
-    
-    let curve
-    if (isMobile) {
-      // Mobile curve - shorter for better mobile fit
-      const mobileCurve = new THREE.CatmullRomCurve3([
-        new THREE.Vector3(-12, 0, -7.0),   // Far left - off screen (shorter)
-        new THREE.Vector3(-8, 0, -4.0),    // Left curve start
-        new THREE.Vector3(-4, 0, -0.2),    // Left transition to flat
-        new THREE.Vector3(0, 0, 0.2),      // Center flat
-        new THREE.Vector3(4, 0, -0.2),     // Right transition from flat
-        new THREE.Vector3(8, 0, -4.0),     // Right curve start
-        new THREE.Vector3(12, 0, -7.0)     // Far right - off screen (shorter)
-      ], false, "catmullrom", 0.5)
-      
-      // Rotate for mobile: 90 degrees and move forward slightly
-      const rotatedPoints = mobileCurve.points.map(point => 
-        new THREE.Vector3(0, point.x, point.z + 0.5) // X → Y, Y → 0, Z moved forward by 0.5 units
-      )
-      curve = new THREE.CatmullRomCurve3(rotatedPoints, false, "catmullrom", 0.5)
-    } else {
-      // Desktop curve - original size
-      curve = new THREE.CatmullRomCurve3([
-        new THREE.Vector3(-18, 0, -7.0),   // Far left - off screen
-        new THREE.Vector3(-12, 0, -4.0),   // Left curve start
-        new THREE.Vector3(-6, 0, -0.2),    // Left transition to flat
-        new THREE.Vector3(0, 0, 0.2),     // Center flat
-        new THREE.Vector3(6, 0, -0.2),     // Right transition from flat
-        new THREE.Vector3(12, 0, -4.0),    // Right curve start
-        new THREE.Vector3(18, 0, -7.0)     // Far right - off screen
-      ], false, "catmullrom", 0.5)
+    const geo = new THREE.PlaneGeometry(1, 1, STRIP_SEGMENTS, STRIP_ROWS)
+    geo.attributes.position.array.set(createStripPositions(path, isMobile))
+    geo.computeVertexNormals()
+    geo.computeBoundingSphere()
+    return geo
+  }, [isMobile])
+  
+  // Path changes morph the vertices from wherever they are now to the new path
+  const shownPath = useRef(path)
+  const pathMorph = useRef(null) // { from, to, progress }
+  
+  useEffect(() => {
+    shownPath.current = path
+    pathMorph.current = null
+  }, [geometry])
+  
+  useEffect(() => {
+    if (shownPath.current === path) return
+    shownPath.current = path
+    pathMorph.current = {
+      from: geometry.attributes.position.array.slice(),
+      to: createStripPositions(path, isMobile),
+      progress: 0
     }
+  }, [path])
+  
+  const updatePathMorph = (delta) => {
+    const morph = pathMorph.current
+    if (!morph) return
     
-    const curvePoints = curve.getSpacedPoints(splineSegments)
-    
-    // Create plane geometry with more subdivisions for better quality
-    const geo = new THREE.PlaneGeometry(1, 1, splineSegments, 32)
-      .translate(0.5, 0, 0)
-      .scale(splineSegments, 1, 1)
-    
-    const positions = geo.attributes.position
-    const vertex = new THREE.Vector3()
+    morph.progress = Math.min(morph.progress + delta / PATH_MORPH_DURATION, 1)
+    const eased = morph.progress * morph.progress * (3 - 2 * morph.progress)
     
-    for (let i = 0; i < positions.count; i++) {
-      vertex.fromBufferAttribute(positions, i)
-      const idx = Math.round(vertex.x)
-      const curvePoint = curvePoints[idx]
-      
-      if (curvePoint) {
-        if (isMobile) {
-          // For mobile: map curve to Y axis and apply width to X
-          positions.setXYZ(
-            i, 
-            curvePoint.x + vertex.y * filmWidth, 
-            curvePoint.y, 
-            curvePoint.z
-          )
-        } else {
-          // For desktop: normal horizontal mapping
-          positions.setXYZ(
-            i, 
-            curvePoint.x, 
-            curvePoint.y + vertex.y * filmWidth, 
-            curvePoint.z
-          )
-        }
-      }
+    const positions = geometry.attributes.position
+    for (let i = 0; i < positions.array.length; i++) {
+      positions.array[i] = morph.from[i] + (morph.to[i] - morph.from[i]) * eased
     }
+    positions.needsUpdate = true
+    // Clicks and hover raycast against the bounding sphere first
+    geometry.computeBoundingSphere()
     
-    geo.computeVertexNormals()
-    return geo
-  }, [isMobile])
+    if (morph.progress >= 1) {
+      geometry.computeVertexNormals()
+      pathMorph.current = null
+    }
+  }
   
-  // Create textures from project images
+  // Video covers - each one streams its frames into its own layer of the array texture
+  const videoTiles = useRef([])
+  const videoLayerWriter = useRef(null)
+  const videoLayerPosition = useMemo(() => new THREE.Vector3(), [])
+  
+  // Create the tile array texture from project cover images
   useEffect(() => {
     if (projects.length === 0) return
     
-    const loader = new THREE.TextureLoader()
-    const texturePromises = projects.map(project => {
+    let cancelled = false
+    const loader = new THREE.ImageLoader()
+    const tiles = []
+    const imagePromises = projects.map((project, index) => {
+      const cover = project.images?.[0]
+      
+      if (isVideoEntry(cover)) {
+        tiles.push({ layer: index, video: createVideoElement(cover), lastTime: -1 })
+      }
+      
+      // Video covers start from their poster (or a grey tile) until frames arrive
+      const src = cover ? getPosterSrc(cover) : '/placeholder.jpg'
+      if (!src) return Promise.resolve(null)
+      
       return new Promise((resolve) => {
-        const texture = loader.load(
-          project.images?.[0]?.src || '/placeholder.jpg',
-          (tex) => {
-            // Ensure correct color space for accurate colors
-            tex.colorSpace = THREE.SRGBColorSpace
-            tex.encoding = THREE.sRGBEncoding
-            // Maximum quality texture settings
-            tex.generateMipmaps = false // Disable mipmaps for sharper images
-            tex.wrapS = THREE.ClampToEdgeWrapping
-            tex.wrapT = THREE.ClampToEdgeWrapping
-            // Use nearest neighbor for pixel-perfect sharpness
-            tex.minFilter = THREE.LinearFilter
-            tex.magFilter = THREE.LinearFilter
-            // Maximum anisotropic filtering for sharp textures at angles
-            tex.anisotropy = Math.min(16, gl.capabilities.getMaxAnisotropy())
-            // Ensure texture updates
-            tex.needsUpdate = true
-            resolve(tex)
-          },
+        loader.load(
+          src,
+          (image) => resolve(image),
           undefined,
-          () => {
-            // Fallback texture
-            const canvas = document.createElement('canvas')
-            canvas.width = canvas.height = 256
-            const ctx = canvas.getContext('2d')
-            ctx.fillStyle = '#cccccc'
-            ctx.fillRect(0, 0, 256, 256)
-            const fallbackTexture = new THREE.CanvasTexture(canvas)
-            resolve(fallbackTexture)
-          }
+          () => resolve(null) // Fallback - drawn as a grey tile
         )
       })
     })
     
-    Promise.all(texturePromises).then(setTextures)
-  }, [projects])
-  
-  // Drag interactions - responsive to mobile/desktop
-  useEffect(() => {
-    let startX = 0
-    let startY = 0
-    let startOffset = 0
-    let dragging = false
-    
-    const handleStart = (e) => {
-      const clientX = e.touches ? e.touches[0].clientX : e.clientX
-      const clientY = e.touches ? e.touches[0].clientY : e.clientY
-      startX = clientX
-      startY = clientY
-      startOffset = currentOffset.current
-      dragging = true
-      
-      // Cancel any ongoing snap
-      clearSnapTimeout()
-      isSnapping.current = false
-      isUserInteracting.current = true
-      lastInteractionTime.current = Date.now()
-      swipeDirection.current = 0 // Reset swipe direction
+    Promise.all(imagePromises).then((images) => {
+      if (cancelled) return
+      // Layers only as large as a tile gets on screen - keeps GPU memory down with many projects
+      const layerSize = getTileLayerSize(gl.capabilities.maxTextureSize)
       
-      // Water effect
-      if (waterRef?.current?.updateMouse) {
-        waterRef.current.updateMouse(clientX, clientY, true)
+      if (tiles.length > 0) {
+        const canvas = document.createElement('canvas')
+        canvas.width = canvas.height = layerSize
+        videoLayerWriter.current = {
+          ctx: canvas.getContext('2d'),
+          texture: new THREE.Texture(canvas),
+          layerSize
+        }
       }
+      videoTiles.current = tiles
+      
+      setTileTexture(createTileArrayTexture(images, layerSize))
+    })
+    
+    return () => {
+      cancelled = true
+      tiles.forEach(tile => disposeVideo(tile.video))
+      videoTiles.current = []
+      videoLayerWriter.current = null
     }
+  }, [projects, restoreCount])
+  
+  useEffect(() => {
+    return pauseVideosWhenHidden(() => videoTiles.current.map(tile => tile.video))
+  }, [])
+  
+  // Play only the video tiles on the strip, pause them when the tab is hidden or the strip has swept out
+  const updateVideoTiles = () => {
+    const writer = videoLayerWriter.current
+    if (!tileTexture || !writer || videoTiles.current.length === 0) return
     
-    const handleMove = (e) => {
-      if (!dragging) return
-      
-      const clientX = e.touches ? e.touches[0].clientX : e.clientX
-      const clientY = e.touches ? e.touches[0].clientY : e.clientY
-      
-      // Update interaction time
-      lastInteractionTime.current = Date.now()
-      
-      // Calculate momentum for natural continuation
-      const prevOffset = targetOffset.current
-      
-      if (isMobile) {
-        // Mobile: vertical drag = scroll with increased responsiveness (inverted)
-        const deltaY = clientY - startY
-        targetOffset.current = startOffset + deltaY * 0.05 // More responsive
-        // Gradual speed buildup for smoother RGB effect
-        const targetSpeed = -deltaY * 0.6
-        sliderSpeed.current += (targetSpeed - sliderSpeed.current) * 0.1 // Smooth acceleration
+    const isStripVisible = isDocumentVisible() && !(isFading && fadeProgress >= 1.0)
+    const tilesOnStrip = getTileIndicesOnStrip(currentOffset.current, projects.length)
+    
+    videoTiles.current.forEach(tile => {
+      if (isStripVisible && tilesOnStrip.has(tile.layer)) {
+        playVideo(tile.video)
       } else {
-        // Desktop: horizontal drag = scroll  
-        const deltaX = clientX - startX
-        targetOffset.current = startOffset - deltaX * 0.03
-        // Gradual speed buildup for smoother RGB effect
-        const targetSpeed = -deltaX * 0.5
-        sliderSpeed.current += (targetSpeed - sliderSpeed.current) * 0.1 // Smooth acceleration
+        pauseVideo(tile.video)
+        return
       }
       
-      // Calculate momentum (velocity) for continuation effect
-      momentum.current = (targetOffset.current - prevOffset) * 0.8 + momentum.current * 0.2 // Smooth momentum
+      // Only upload when the video has produced a new frame
+      if (tile.video.readyState < 2 || tile.video.currentTime === tile.lastTime) return
+      tile.lastTime = tile.video.currentTime
       
-      // Water effect
-      if (waterRef?.current?.updateMouse) {
-        waterRef.current.updateMouse(clientX, clientY, true)
-      }
+      drawTileLayer(writer.ctx, tile.video, writer.layerSize)
+      gl.copyTextureToTexture(writer.texture, tileTexture, null, videoLayerPosition.set(0, 0, tile.layer))
+    })
+  }
+  
+  // Release the previous array texture when it is replaced
+  useEffect(() => {
+    return () => {
+      if (tileTexture) tileTexture.dispose()
     }
+  }, [tileTexture])
+  
+  // Drag interactions - responsive to mobile/desktop
+  // Gestures come from the shared input manager, which also feeds the water ripples
+  const dragStartOffset = useRef(0)
+  const isStripPress = useRef(false)
+  
+  // Momentum continuation shared by drag and wheel ends - keeps moving in the swipe direction
+  const releaseMomentum = () => {
+    isUserInteracting.current = false
     
-    const handleEnd = () => {
-      dragging = false
-      isUserInteracting.current = false
+    // Use momentum to determine direction and add continuation
+    if (Math.abs(momentum.current) > 0.1) { // Only if there's significant momentum
+      swipeDirection.current = momentum.current > 0 ? 1 : -1
       
-      // Use momentum to determine direction and add continuation
-      if (Math.abs(momentum.current) > 0.1) { // Only if there's significant momentum
-        swipeDirection.current = momentum.current > 0 ? 1 : -1
-        
-        // Add momentum continuation - slider keeps moving in swipe direction
-        const momentumDistance = Math.min(Math.abs(momentum.current) * 15, 8) // Scale and cap momentum
-        const continuationOffset = momentumDistance * swipeDirection.current
-        targetOffset.current += continuationOffset
-        
-        // Set momentum to decay naturally
-        momentum.current *= 0.3
-      } else {
-        // Small movement - just center to nearest
-        swipeDirection.current = 0
-      }
+      // Add momentum continuation - slider keeps moving in swipe direction
+      const momentumDistance = Math.min(Math.abs(momentum.current) * 15, 8) // Scale and cap momentum
+      const continuationOffset = momentumDistance * swipeDirection.current
+      targetOffset.current += continuationOffset
       
-      // Schedule snap to center after user stops dragging
-      scheduleSnap()
-      
-      if (waterRef?.current?.updateMouse) {
-        waterRef.current.updateMouse(0, 0, false)
-      }
+      // Set momentum to decay naturally
+      momentum.current *= 0.3
+    } else {
+      // Small movement - just center to nearest
+      swipeDirection.current = 0
     }
     
-    let wheelEndTimeout = null
+    // Schedule snap to center after user stops dragging
+    scheduleSnap()
+  }
+  
+  // Only presses on the canvas drag the strip - the UI buttons keep their clicks, and a strip
+  // that has faded out for the gallery leaves the gestures to it
+  useGesture('press', (press) => {
+    isStripPress.current = press.target === gl.domElement && !isFading
+    if (!isStripPress.current) return
     
-    const handleWheel = (e) => {
-      e.preventDefault()
-      
-      // Clear previous wheel end timeout
-      if (wheelEndTimeout) {
-        clearTimeout(wheelEndTimeout)
-        wheelEndTimeout = null
-      }
-      
-      // Cancel any ongoing snap and mark as interacting
-      clearSnapTimeout()
-      isSnapping.current = false
-      isUserInteracting.current = true
-      lastInteractionTime.current = Date.now()
-      
-      // Smooth wheel scrolling - accumulate wheel delta for smoother movement
-      const wheelDelta = Math.sign(e.deltaY) * Math.min(Math.abs(e.deltaY), 100) // Cap max delta
-      
-      const prevOffset = targetOffset.current
-      
-      if (isMobile) {
-        // Mobile: use deltaY for vertical scrolling with increased responsiveness (inverted)
-        targetOffset.current -= wheelDelta * 0.012 // More responsive, inverted direction
-        sliderSpeed.current = wheelDelta * 0.7 // More deformation for mobile (corrected direction)
-      } else {
-        // Desktop: use deltaY for horizontal scrolling - smoother
-        targetOffset.current += wheelDelta * 0.008
-        sliderSpeed.current = wheelDelta * 0.8 // Stronger deformation
-      }
-      
-      // Calculate momentum (velocity) for continuation effect like drag
-      momentum.current = (targetOffset.current - prevOffset) * 0.8 + momentum.current * 0.2 // Smooth momentum
-      
-      // Schedule wheel end handling like drag
-      wheelEndTimeout = setTimeout(() => {
-        isUserInteracting.current = false
-        
-        // Use momentum to determine direction and add continuation like drag
-        if (Math.abs(momentum.current) > 0.1) { // Only if there's significant momentum
-          swipeDirection.current = momentum.current > 0 ? 1 : -1
-          
-          // Add momentum continuation - slider keeps moving in scroll direction
-          const momentumDistance = Math.min(Math.abs(momentum.current) * 15, 8) // Same as drag
-          const continuationOffset = momentumDistance * swipeDirection.current
-          targetOffset.current += continuationOffset
-          
-          // Set momentum to decay naturally
-          momentum.current *= 0.3
-        } else {
-          // Small movement - just center to nearest
-          swipeDirection.current = 0
-        }
-        
-        // Schedule snap after momentum continuation
-        scheduleSnap()
-        wheelEndTimeout = null
-      }, 150) // Same delay as drag for natural feel
+    dragStartOffset.current = currentOffset.current
+    
+    // Cancel any ongoing snap
+    clearSnapTimeout()
+    isSnapping.current = false
+    isUserInteracting.current = true
+    lastInteractionTime.current = Date.now()
+    swipeDirection.current = 0 // Reset swipe direction
+  })
+  
+  useGesture('drag', (drag) => {
+    if (!isStripPress.current) return
+    
+    // Update interaction time
+    lastInteractionTime.current = Date.now()
+    
+    // Calculate momentum for natural continuation
+    const prevOffset = targetOffset.current
+    
+    if (isMobile) {
+      // Mobile: vertical drag = scroll with increased responsiveness (inverted)
+      targetOffset.current = dragStartOffset.current + drag.deltaY * 0.05 // More responsive
+      // Gradual speed buildup for smoother RGB effect
+      const targetSpeed = -drag.deltaY * 0.6
+      sliderSpeed.current += (targetSpeed - sliderSpeed.current) * 0.1 // Smooth acceleration
+    } else {
+      // Desktop: horizontal drag = scroll  
+      targetOffset.current = dragStartOffset.current - drag.deltaX * 0.03
+      // Gradual speed buildup for smoother RGB effect
+      const targetSpeed = -drag.deltaX * 0.5
+      sliderSpeed.current += (targetSpeed - sliderSpeed.current) * 0.1 // Smooth acceleration
     }
     
-    const canvas = gl.domElement
+    // Calculate momentum (velocity) for continuation effect
+    momentum.current = (targetOffset.current - prevOffset) * 0.8 + momentum.current * 0.2 // Smooth momentum
+  })
+  
+  useGesture('release', () => {
+    if (!isStripPress.current) return
+    isStripPress.current = false
+    releaseMomentum()
+  })
+  
+  useGesture('wheel', (wheel) => {
+    if (isFading) return
+    wheel.preventDefault()
     
-    canvas.addEventListener('mousedown', handleStart)
-    window.addEventListener('mousemove', handleMove)
-    window.addEventListener('mouseup', handleEnd)
-    canvas.addEventListener('touchstart', handleStart, { passive: true })
-    window.addEventListener('touchmove', handleMove, { passive: true })
-    window.addEventListener('touchend', handleEnd, { passive: true })
-    window.addEventListener('wheel', handleWheel, { passive: false })
+    // Cancel any ongoing snap and mark as interacting
+    clearSnapTimeout()
+    isSnapping.current = false
+    isUserInteracting.current = true
+    lastInteractionTime.current = Date.now()
     
-    return () => {
-      canvas.removeEventListener('mousedown', handleStart)
-      window.removeEventListener('mousemove', handleMove)
-      window.removeEventListener('mouseup', handleEnd)
-      canvas.removeEventListener('touchstart', handleStart)
-      window.removeEventListener('touchmove', handleMove)
-      window.removeEventListener('touchend', handleEnd)
-      window.removeEventListener('wheel', handleWheel)
-      
-      // Cleanup snap timeout
-      clearSnapTimeout()
-      
-      // Cleanup wheel timeout
-      if (wheelEndTimeout) {
-        clearTimeout(wheelEndTimeout)
-      }
+    // Smooth wheel scrolling - accumulate wheel delta for smoother movement
+    const wheelDelta = Math.sign(wheel.deltaY) * Math.min(Math.abs(wheel.deltaY), 100) // Cap max delta
+    
+    const prevOffset = targetOffset.current
+    
+    if (isMobile) {
+      // Mobile: use deltaY for vertical scrolling with increased responsiveness (inverted)
+      targetOffset.current -= wheelDelta * 0.012 // More responsive, inverted direction
+      sliderSpeed.current = wheelDelta * 0.7 // More deformation for mobile (corrected direction)
+    } else {
+      // Desktop: use deltaY for horizontal scrolling - smoother
+      targetOffset.current += wheelDelta * 0.008
+      sliderSpeed.current = wheelDelta * 0.8 // Stronger deformation
     }
-  }, [gl, waterRef, isMobile])
+    
+    // Calculate momentum (velocity) for continuation effect like drag
+    momentum.current = (targetOffset.current - prevOffset) * 0.8 + momentum.current * 0.2 // Smooth momentum
+  })
+  
+  // The wheel went quiet - same continuation and snap as the end of a drag
+  useGesture('wheelend', () => {
+    if (isUserInteracting.current && !isStripPress.current) releaseMomentum()
+  })
+  
+  useEffect(() => {
+    // Cleanup snap timeout
+    return () => clearSnapTimeout()
+  }, [])
   
   // Animation state
   const [isAnimating, setIsAnimating] = useState(false)
@@ -625,13 +818,172 @@ const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart,
   const [fadeProgress, setFadeProgress] = useState(0)
   const [sliderProgress, setSliderProgress] = useState(0)
   const fadeStartOffset = useRef(0)
+  const clickedProject = useRef(null)
+  const hasCompletedTransition = useRef(false)
+  // A reset strip stays out of the sweep until the cleared fade state has rendered
+  const isResetting = useRef(false)
+  
+  useEffect(() => {
+    if (!isFading) isResetting.current = false
+  }, [isFading])
   
   // Project colors - assign unique color to each project
   
-  // Click detection state
+  // A press that turned into a drag doesn't open the project it ends on
   const isClickDragging = useRef(false)
-  const clickStartPos = useRef({ x: 0, y: 0 })
-  const clickThreshold = 5 // pixels
+  useGesture('press', () => {
+    isClickDragging.current = false
+  })
+  useGesture('dragstart', () => {
+    isClickDragging.current = true
+  })
+  
+  // Keyboard navigation - keys snap tile by tile with the same snapping as drags, and the
+  // focus frame shows which tile Enter opens. Pointer input hides the frame again
+  const isKeyboardFocus = useRef(false)
+  const focusStrength = useRef(0)
+  
+  const hideKeyboardFocus = () => {
+    isKeyboardFocus.current = false
+  }
+  useGesture('press', hideKeyboardFocus)
+  useGesture('wheel', hideKeyboardFocus)
+  
+  // Drop any snap or momentum still carrying the strip - the caller sets the new target
+  const cancelMotion = () => {
+    clearSnapTimeout()
+    isSnapping.current = false
+    momentum.current = 0
+    swipeDirection.current = 0
+  }
+  
+  // Move the snap target by whole tiles (negative steps go back)
+  const stepProjects = (steps) => {
+    if (steps === 0 || projects.length === 0) return
+    
+    const direction = Math.sign(steps)
+    let position = calculateNearestSnapPosition(targetOffset.current, 0)
+    for (let i = 0; i < Math.abs(steps); i++) {
+      // Nudged past the current centre so the directional snap lands on the neighbour
+      position = calculateNearestSnapPosition(position + direction * 0.01, direction)
+    }
+    
+    cancelMotion()
+    targetOffset.current = position
+    sliderSpeed.current = direction * 20 // A little RGB split while it travels
+    
+    announceProject(position)
+  }
+  
+  const announceProject = (offset) => {
+    const index = getProjectIndexForTile(getCenterTile(offset), projects.length)
+    if (onKeyboardFocus && projects[index]) {
+      onKeyboardFocus(projects[index], index)
+    }
+  }
+  
+  useGesture('key', (key) => {
+    // Keys drive the strip only while it's on screen, and leave links and buttons alone
+    if (isFading || introProgress.current < 1 || projects.length === 0) return
+    if (key.altKey || key.ctrlKey || key.metaKey) return
+    if (key.originalEvent.target?.closest?.('a, button, [role="button"]')) return
+    
+    const centerIndex = getProjectIndexForTile(getCenterTile(targetOffset.current), projects.length)
+    const stepsByKey = {
+      ArrowRight: 1,
+      ArrowDown: 1,
+      ArrowLeft: -1,
+      ArrowUp: -1,
+      PageDown: KEYBOARD_PAGE_STEP,
+      PageUp: -KEYBOARD_PAGE_STEP,
+      Home: -centerIndex,
+      End: projects.length - 1 - centerIndex
+    }
+    
+    if (key.key in stepsByKey) {
+      key.preventDefault()
+      isKeyboardFocus.current = true
+      stepProjects(stepsByKey[key.key])
+      // Home/End on the first/last project still confirm where focus is
+      if (stepsByKey[key.key] === 0) announceProject(targetOffset.current)
+    } else if (key.key === 'Enter' || key.key === ' ') {
+      key.preventDefault()
+      isKeyboardFocus.current = false
+      startOpenTransition(centerIndex)
+    }
+  })
+  
+  // Centre the nearest tile showing the project - animated glides there like a key press,
+  // otherwise the strip jumps
+  const goTo = (projectIndex, { animate = true } = {}) => {
+    if (isFading || projects.length === 0) return
+    
+    // Cuts the intro short, like opening does
+    introProgress.current = 1
+    material.updateIntro(1)
+    
+    const centerTile = getCenterTile(targetOffset.current)
+    let shift = getProjectIndexForTile(projectIndex - getProjectIndexForTile(centerTile, projects.length), projects.length)
+    if (shift > projects.length / 2) shift -= projects.length
+    const position = getOffsetForTilePosition(centerTile + shift + 0.5)
+    
+    cancelMotion()
+    targetOffset.current = position
+    if (animate) {
+      sliderSpeed.current = Math.sign(shift) * 20
+    } else {
+      currentOffset.current = position
+      lastOffset.current = position
+    }
+  }
+  
+  // Bring a swept-out strip back, centred on the project - it glides in from the side
+  // unless animate is false
+  const reset = (projectIndex, { animate = true } = {}) => {
+    if (isFading) isResetting.current = true
+    setIsFading(false)
+    setFadeProgress(0)
+    setSliderProgress(0)
+    clickedProject.current = null
+    hasCompletedTransition.current = false
+    hasSettled.current = false
+    
+    introProgress.current = 1
+    material.updateIntro(1)
+    
+    const position = getCenteredOffsetForIndex(projectIndex, projects.length)
+    cancelMotion()
+    targetOffset.current = position
+    currentOffset.current = animate ? position + RESET_SLIDE_DISTANCE : position
+    lastOffset.current = currentOffset.current
+  }
+  
+  // Programmatic control - route changes (deep links, browser history) and the gallery closing
+  useImperativeHandle(ref, () => ({
+    openProject: (projectIndex) => startOpenTransition(projectIndex),
+    goTo,
+    next: () => stepProjects(1),
+    prev: () => stepProjects(-1),
+    reset,
+    getCurrentIndex: () => (projects.length > 0 ? getProjectIndexForTile(getCenterTile(currentOffset.current), projects.length) : -1),
+    getOffset: () => currentOffset.current
+  }))
+  
+  // Mouse hover - where along the strip the mouse is (null when it's off the strip)
+  // Touch has no hover, so only mouse pointers count
+  const hoverU = useRef(null)
+  const hoverTile = useRef(0)
+  const hoverStrength = useRef(0)
+  
+  const handleMeshPointerMove = (event) => {
+    if (event.nativeEvent.pointerType !== 'mouse' || !event.uv) return
+    hoverU.current = event.uv.x
+    isKeyboardFocus.current = false // The mouse takes over from the keyboard
+  }
+  
+  const handleMeshPointerOut = () => {
+    hoverU.current = null
+  }
   
   // Click handler - only trigger if not dragging
   const handleMeshClick = (event) => {
@@ -641,10 +993,26 @@ const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart,
     const uv = event.uv
     if (!uv) return
     
-    // Calculate project index from UV position
-    const aspect = 24 / (2.0 * 4/3)
-    const tilesUV = uv.x * aspect * 1.2
-    const tileIndex = Math.floor(tilesUV) % projects.length
+    // Calculate project index from UV position - same mapping as the shader
+    const tileIndex = getProjectIndexForTile(getTileAt(uv.x, currentOffset.current), projects.length)
+    startOpenTransition(tileIndex, { x: event.nativeEvent.clientX, y: event.nativeEvent.clientY })
+  }
+  
+  // Fade/slide the strip out, then open the given project in gallery mode
+  // splashPoint: client position of the click - programmatic opens splash in the screen centre
+  const startOpenTransition = (projectIndex, splashPoint = { x: window.innerWidth / 2, y: window.innerHeight / 2 }) => {
+    const project = projects[projectIndex]
+    // A strip that was just reset can open again before its cleared fade state renders
+    if ((isFading && !isResetting.current) || !project) return
+    isResetting.current = false
+    
+    // Opening cuts the intro short
+    introProgress.current = 1
+    material.updateIntro(1)
+    
+    // Remember which project opens once the sweep has finished
+    clickedProject.current = project
+    hasCompletedTransition.current = false
     
     // Store current offset as start position
     fadeStartOffset.current = currentOffset.current
@@ -654,45 +1022,114 @@ const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart,
     setFadeProgress(0)
     setSliderProgress(0)
     
-    // Notify parent to fade out UI (and never bring it back)
+    // Splash into the water where the project was picked
+    if (waterRef?.current?.addDrop) {
+      waterRef.current.addDrop(splashPoint.x, splashPoint.y, 0.15, 1.0)
+    }
+    
+    // Notify parent which project is opening - it fades out the UI
     if (onTransitionStart) {
-      onTransitionStart(true)
+      onTransitionStart(project)
     }
     
     // No background color change
   }
   
-  // Pointer events to detect dragging
-  const handlePointerDown = (event) => {
-    isClickDragging.current = false
-    clickStartPos.current = { x: event.clientX, y: event.clientY }
+  // Intro - ease the strip in from the side while the reveal edge sweeps across
+  const updateIntro = (time) => {
+    if (!tileTexture) return
+    
+    if (introStartTime.current === null) {
+      introStartTime.current = time
+    }
+    
+    const progress = THREE.MathUtils.clamp((time - introStartTime.current - INTRO_DELAY) / INTRO_DURATION, 0, 1)
+    const eased = 1 - Math.pow(1 - progress, 3)
+    introProgress.current = progress
+    
+    const introOffset = initialOffset + (1 - eased) * INTRO_SLIDE_DISTANCE
+    currentOffset.current = introOffset
+    targetOffset.current = introOffset
+    material.updateIntro(eased)
   }
   
-  const handlePointerMove = (event) => {
-    if (!clickStartPos.current) return
+  // Attract mode - drift to the next tile centre, rest there, repeat
+  const attractPhase = useRef(null) // null (off), 'drift' or 'rest'
+  const attractTarget = useRef(0)
+  const attractRestTime = useRef(0)
+  
+  const updateAttract = (delta) => {
+    if (attractPhase.current === null) {
+      cancelMotion()
+      // The overlay follows the centred tile, not a mouse left resting on the strip
+      isKeyboardFocus.current = false
+      hoverU.current = null
+      attractPhase.current = 'rest'
+      attractRestTime.current = 0 // Sets off straight away
+    }
     
-    const deltaX = Math.abs(event.clientX - clickStartPos.current.x)
-    const deltaY = Math.abs(event.clientY - clickStartPos.current.y)
+    if (attractPhase.current === 'rest') {
+      attractRestTime.current -= delta
+      if (attractRestTime.current > 0) return
+      
+      attractPhase.current = 'drift'
+      // Nudged past the current centre so the directional snap finds the next tile
+      attractTarget.current = calculateNearestSnapPosition(targetOffset.current + 0.01, 1)
+    }
     
-    if (deltaX > clickThreshold || deltaY > clickThreshold) {
-      isClickDragging.current = true
+    // The offset lerp eases the strip in and out around the constant drift
+    targetOffset.current = Math.min(targetOffset.current + ATTRACT_DRIFT_SPEED * delta, attractTarget.current)
+    if (targetOffset.current >= attractTarget.current) {
+      attractPhase.current = 'rest'
+      attractRestTime.current = ATTRACT_PAUSE
+      
+      if (Math.random() < ATTRACT_RIPPLE_CHANCE && waterRef?.current?.addDrop) {
+        const x = window.innerWidth * (0.2 + Math.random() * 0.6)
+        const y = window.innerHeight * (0.3 + Math.random() * 0.4)
+        waterRef.current.addDrop(x, y, 0.1, 0.5)
+      }
     }
   }
   
-  const handlePointerUp = () => {
-    // Reset after a short delay to allow click event to fire
-    setTimeout(() => {
-      isClickDragging.current = false
-      clickStartPos.current = null
-    }, 50)
+  // Hand the strip back - it eases onto the nearest tile unless the input that ended attract
+  // mode is already moving it
+  const stopAttract = () => {
+    attractPhase.current = null
+    if (!isUserInteracting.current) {
+      swipeDirection.current = 0
+      startSnapping()
+    }
+  }
+  
+  // Report the strip's speed, and when it comes to rest, to the parent
+  const reportMotion = (delta) => {
+    if (delta <= 0) return
+    
+    const measured = (currentOffset.current - lastOffset.current) / delta
+    lastOffset.current = currentOffset.current
+    const nextVelocity = Math.abs(measured) < SETTLE_VELOCITY ? 0 : measured
+    if (nextVelocity !== velocity.current) {
+      velocity.current = nextVelocity
+      if (onVelocityChange) onVelocityChange(nextVelocity)
+    }
+    
+    const isAtRest = !isFading && introProgress.current >= 1 && !isUserInteracting.current &&
+      !isSnapping.current && Math.abs(momentum.current) < 0.001 &&
+      Math.abs(targetOffset.current - currentOffset.current) < SETTLE_DISTANCE
+    if (!isAtRest) {
+      hasSettled.current = false
+    } else if (!hasSettled.current && projects.length > 0) {
+      hasSettled.current = true
+      if (onSettle) onSettle(getProjectIndexForTile(getCenterTile(currentOffset.current), projects.length))
+    }
   }
   
   // Simple animation loop
-  useFrame((state) => {
+  useFrame((state, delta) => {
     if (!material) return
     
     // Handle fade animation (both slider and fade together)
-    if (isFading) {
+    if (isFading && !isResetting.current) {
       // Calculate eased progress for FADE
       const fadeBaseSpeed = 0.02 // Original base speed
       const fadeEasingFactor = fadeProgress * fadeProgress * fadeProgress * 2.5 // Cubic easing
@@ -727,7 +1164,24 @@ const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart,
       currentOffset.current = animatedOffset
       targetOffset.current = animatedOffset
       
+      // Sweep finished - hand the clicked project over to gallery mode
+      if (fadeProgress >= 1.0 && !hasCompletedTransition.current) {
+        hasCompletedTransition.current = true
+        if (onTransitionComplete) {
+          onTransitionComplete(clickedProject.current, true)
+        }
+      }
+      
+    } else if (introProgress.current < 1) {
+      updateIntro(state.clock.elapsedTime)
     } else {
+      // Attract mode pauses while someone holds the strip
+      if (attract && !isUserInteracting.current && projects.length > 0) {
+        updateAttract(delta)
+      } else if (attractPhase.current !== null) {
+        stopAttract()
+      }
+      
       // Always use smooth interpolation between current and target
       const lerpSpeed = isUserInteracting.current ? 0.15 : 0.08 // Faster during interaction, slower when settling
       currentOffset.current += (targetOffset.current - currentOffset.current) * lerpSpeed
@@ -770,16 +1224,34 @@ const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart,
         sliderSpeed.current *= 0.98  // Much slower fade out (was 0.96)
       }
       
-      // Hover events
+      // Hover events - the tile under the mouse, otherwise (touch, keyboard, dragging) the centred one
       if (projects.length > 0) {
-        const currentProjectIndex = Math.floor(Math.abs(currentOffset.current * 10) % projects.length)
-        const currentProject = projects[currentProjectIndex]
+        const isPointerHover = hoverU.current !== null && !isUserInteracting.current && !isKeyboardFocus.current
+        const hoveredTile = isPointerHover ? getTileAt(hoverU.current, currentOffset.current) : getCenterTile(currentOffset.current)
+        const currentProject = projects[getProjectIndexForTile(hoveredTile, projects.length)]
         if (currentProject && onHover) {
           onHover(currentProject)
         }
+        
+        hoverStrength.current += ((isPointerHover ? 1 : 0) - hoverStrength.current) * HOVER_FADE_SPEED
+        if (isPointerHover) hoverTile.current = hoveredTile
       }
     }
     
+    reportMotion(delta)
+    updatePathMorph(delta)
+    
+    // Stream video covers into the tile texture
+    updateVideoTiles()
+    
+    // The highlight fades out with the strip
+    if (isFading) hoverStrength.current = 0
+    material.updateHover(hoverTile.current, hoverStrength.current)
+    
+    // Keyboard focus frame follows the tile under the centre
+    focusStrength.current += ((isKeyboardFocus.current && !isFading ? 1 : 0) - focusStrength.current) * FOCUS_FADE_SPEED
+    material.updateFocus(getCenterTile(currentOffset.current), focusStrength.current)
+    
     // Update material
     material.updateTime(currentOffset.current)
     material.updateVelocity(sliderSpeed.current)
@@ -787,14 +1259,28 @@ const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart,
     // No fog color update needed
   })
   
-  // Create material with textures
-  const material = useMemo(() => {
-    if (textures.length === 0) return null
-    const mat = createFilmStripMaterial(textures, isMobile)
-    return mat
-  }, [textures, isMobile])
+  // Create material once per layout - tiles are swapped in as uniforms, so the shader never recompiles
+  const material = useMemo(() => createFilmStripMaterial(isMobile), [isMobile, restoreCount])
+  
+  useEffect(() => {
+    if (tileTexture) {
+      material.updateTiles(tileTexture, projects.length)
+    }
+  }, [material, tileTexture, projects.length])
+  
+  useEffect(() => {
+    if (tileTexture && onReady) onReady()
+  }, [tileTexture])
+  
+  useEffect(() => {
+    material.updateAberrationPasses(aberrationPasses)
+  }, [material, aberrationPasses])
+  
+  useEffect(() => {
+    return () => material.dispose()
+  }, [material])
   
-  if (!material) return null
+  if (!tileTexture) return null
   
   return (
     <mesh 
@@ -802,11 +1288,10 @@ const FilmStripSlider = ({ projects = [], onHover, waterRef, onTransitionStart,
       geometry={geometry} 
       material={material} 
       onClick={handleMeshClick}
-      onPointerDown={handlePointerDown}
-      onPointerMove={handlePointerMove}
-      onPointerUp={handlePointerUp}
+      onPointerMove={handleMeshPointerMove}
+      onPointerOut={handleMeshPointerOut}
     />
   )
-}
+})
 
 export default FilmStripSlider
\ No newline at end of file
@@ -0,0 +1,199 @@
+import React, { useRef, useMemo, useEffect } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { useTexture } from '@react-three/drei'
+import * as THREE from 'three'
+import gsap from 'gsap'
+import { isVideoEntry, getPosterSrc, createVideoElement, playVideo, pauseVideo, disposeVideo, isDocumentVisible, pauseVideosWhenHidden } from '../utils/media.js'
+
+// Full-screen gallery view for the project opened from the film strip
+const ProjectGallery = ({ project, currentImageIndex = 0, isScalingDownForReset = false }) => {
+  const groupRef = useRef()
+  const meshRef = useRef()
+  const displayedIndex = useRef(currentImageIndex)
+  const transitionProgress = useRef(0)
+  const isCrossfading = useRef(false)
+  const { viewport } = useThree()
+
+  const entries = project.images
+
+  // Load stills (images and video posters) - extract src strings from image objects
+  const stillSrcs = useMemo(() => entries.map(getPosterSrc).filter(Boolean), [entries])
+  const stillTextures = useTexture(stillSrcs)
+
+  // Configure gallery textures - same settings as the film strip tiles
+  useEffect(() => {
+    stillTextures.forEach(tex => {
+      tex.colorSpace = THREE.SRGBColorSpace
+      tex.generateMipmaps = false
+      tex.wrapS = THREE.ClampToEdgeWrapping
+      tex.wrapT = THREE.ClampToEdgeWrapping
+      tex.minFilter = THREE.LinearFilter
+      tex.magFilter = THREE.LinearFilter
+      tex.needsUpdate = true
+    })
+  }, [stillTextures])
+
+  // Video entries play through a VideoTexture
+  const videos = useMemo(() => entries.map(entry => isVideoEntry(entry) ? createVideoElement(entry) : null), [entries])
+  const videoTextures = useMemo(() => videos.map(video => {
+    if (!video) return null
+    const tex = new THREE.VideoTexture(video)
+    tex.colorSpace = THREE.SRGBColorSpace
+    return tex
+  }), [videos])
+
+  useEffect(() => {
+    const stopWhenHidden = pauseVideosWhenHidden(() => videos.filter(Boolean))
+    return () => {
+      stopWhenHidden()
+      videos.forEach(disposeVideo)
+      videoTextures.forEach(tex => tex && tex.dispose())
+    }
+  }, [videos, videoTextures])
+
+  // Texture to show for an entry - videos show their poster until the first frame is decoded
+  const getEntryTexture = (index) => {
+    const video = videos[index]
+    if (video && video.readyState >= 2) return videoTextures[index]
+
+    const posterSrc = getPosterSrc(entries[index])
+    const poster = posterSrc ? stillTextures[stillSrcs.indexOf(posterSrc)] : null
+    return poster || videoTextures[index] || stillTextures[0]
+  }
+
+  // Crossfade material - mixes uTexture1 into uTexture2 while navigating
+  const material = useMemo(() => {
+    return new THREE.ShaderMaterial({
+      uniforms: {
+        uTexture1: { value: getEntryTexture(currentImageIndex) },
+        uTexture2: { value: getEntryTexture(currentImageIndex) },
+        uProgress: { value: 0.0 }
+      },
+      vertexShader: `
+        varying vec2 vUv;
+
+        void main() {
+          vUv = uv;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform sampler2D uTexture1;
+        uniform sampler2D uTexture2;
+        uniform float uProgress;
+        varying vec2 vUv;
+
+        void main() {
+          vec4 color = mix(texture2D(uTexture1, vUv), texture2D(uTexture2, vUv), uProgress);
+
+          // Match the film strip's gamma correction so both look identical through the water pass
+          gl_FragColor = vec4(pow(color.rgb, vec3(1.0/2.2)), 1.0);
+        }
+      `,
+      side: THREE.DoubleSide
+    })
+  }, [stillTextures, videoTextures])
+
+  // Scale in when the gallery opens
+  useEffect(() => {
+    if (!groupRef.current) return
+
+    groupRef.current.scale.set(0.001, 0.001, 0.001)
+    gsap.to(groupRef.current.scale, {
+      x: 1,
+      y: 1,
+      z: 1,
+      duration: 0.6,
+      ease: "power3.inOut"
+    })
+  }, [])
+
+  // Scale down when the back button is clicked
+  useEffect(() => {
+    if (!groupRef.current || !isScalingDownForReset) return
+
+    gsap.to(groupRef.current.scale, {
+      x: 0.001,
+      y: 0.001,
+      z: 0.001,
+      duration: 0.5,
+      ease: "power3.inOut",
+      overwrite: 'auto'
+    })
+  }, [isScalingDownForReset])
+
+  // Crossfade to the newly selected image
+  useEffect(() => {
+    if (displayedIndex.current === currentImageIndex) return
+
+    material.uniforms.uTexture1.value = getEntryTexture(displayedIndex.current)
+    material.uniforms.uTexture2.value = getEntryTexture(currentImageIndex)
+    displayedIndex.current = currentImageIndex
+    transitionProgress.current = 0
+    isCrossfading.current = true
+
+    const tween = gsap.to(transitionProgress, {
+      current: 1,
+      duration: 0.4,
+      ease: "power2.inOut",
+      onUpdate: () => {
+        material.uniforms.uProgress.value = transitionProgress.current
+      },
+      onComplete: () => {
+        material.uniforms.uProgress.value = 0
+        isCrossfading.current = false
+      }
+    })
+
+    return () => {
+      tween.kill()
+      material.uniforms.uProgress.value = 0
+      isCrossfading.current = false
+    }
+  }, [currentImageIndex, material])
+
+  useFrame(() => {
+    // Only the visible entry plays - everything pauses while closing or when the tab is hidden
+    const canPlay = isDocumentVisible() && !isScalingDownForReset
+    videos.forEach((video, index) => {
+      if (!video) return
+      if (canPlay && index === currentImageIndex) {
+        playVideo(video)
+      } else {
+        pauseVideo(video)
+      }
+    })
+
+    // Swap posters for video frames once they are available
+    const texture = getEntryTexture(currentImageIndex)
+    if (isCrossfading.current) {
+      material.uniforms.uTexture2.value = texture
+    } else {
+      material.uniforms.uTexture1.value = texture
+    }
+
+    // Fit the current entry inside the viewport while keeping its aspect ratio
+    if (meshRef.current) {
+      const image = texture?.image
+      const imageWidth = image ? image.videoWidth || image.width : 0
+      const imageHeight = image ? image.videoHeight || image.height : 0
+      const imageAspect = imageWidth && imageHeight ? imageWidth / imageHeight : 4 / 3
+
+      const isMobile = window.innerWidth <= 768
+      const maxWidth = viewport.width * (isMobile ? 0.85 : 0.6)
+      const maxHeight = viewport.height * (isMobile ? 0.6 : 0.7)
+      const width = Math.min(maxWidth, maxHeight * imageAspect)
+      meshRef.current.scale.set(width, width / imageAspect, 1)
+    }
+  })
+
+  return (
+    <group ref={groupRef} position={[0, 0, 0.5]}>
+      <mesh ref={meshRef} material={material}>
+        <planeGeometry args={[1, 1]} />
+      </mesh>
+    </group>
+  )
+}
+
+export default ProjectGallery
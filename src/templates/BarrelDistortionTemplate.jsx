@@ -5,6 +5,8 @@ import Lenis from 'lenis'
 // Import troika text - tutorial style
 // @ts-ignore
 import { Text, preloadFont } from 'troika-three-text'
+import { useGesture } from '../utils/inputManager.js'
+import { useContextRestoreCount } from '../utils/webglContext.js'
 
 // Define shaders inline (since we don't have raw imports configured)
 const vertexShader = `
@@ -94,7 +96,7 @@ const lerp = (start, end, factor) => start * (1 - factor) + end * factor
 
 const calcFov = (cameraPos) => 2 * Math.atan((window.innerHeight / 2) / cameraPos) * 180 / Math.PI
 
-export default function BarrelDistortionTemplate({ waterRef }) {
+export default function BarrelDistortionTemplate() {
   const { scene, camera, gl } = useThree()
   const [mediaStore, setMediaStore] = useState([])
   const [scroll, setScroll] = useState({ scrollY: 0, scrollVelocity: 0 })
@@ -102,6 +104,8 @@ export default function BarrelDistortionTemplate({ waterRef }) {
   const observerRef = useRef()
   const smoothVelocityRef = useRef(0)
   const [fontLoaded, setFontLoaded] = useState(false)
+  // Bumped when a lost WebGL context comes back - the meshes, textures and text are rebuilt
+  const restoreCount = useContextRestoreCount()
   const CAMERA_POS = 500
 
   // Preload custom font
@@ -213,91 +217,24 @@ export default function BarrelDistortionTemplate({ waterRef }) {
     }
   }, [])
 
-  // Setup mouse tracking with drag support like in FilmStripSlider
-  useEffect(() => {
-    let isDragging = false
-    
-    const handleMouseMove = (e) => {
-      setCursorPos({
-        x: e.clientX / window.innerWidth,
-        y: e.clientY / window.innerHeight
-      })
-      
-      // Update water shader mouse position - always send mouse move, dragging state in down/up
-      if (waterRef?.current?.updateMouse) {
-        waterRef.current.updateMouse(e.clientX, e.clientY, isDragging)
-      }
-    }
-    
-    const handleMouseDown = (e) => {
-      isDragging = true
-      if (waterRef?.current?.updateMouse) {
-        waterRef.current.updateMouse(e.clientX, e.clientY, true)
-      }
-    }
-    
-    const handleMouseUp = (e) => {
-      isDragging = false
-      if (waterRef?.current?.updateMouse) {
-        waterRef.current.updateMouse(e.clientX, e.clientY, false)
-      }
-    }
-    
-    // Touch events for mobile
-    const handleTouchStart = (e) => {
-      if (e.touches.length > 0) {
-        isDragging = true
-        const touch = e.touches[0]
-        if (waterRef?.current?.updateMouse) {
-          waterRef.current.updateMouse(touch.clientX, touch.clientY, true)
-        }
-      }
-    }
-    
-    const handleTouchMove = (e) => {
-      if (e.touches.length > 0) {
-        const touch = e.touches[0]
-        setCursorPos({
-          x: touch.clientX / window.innerWidth,
-          y: touch.clientY / window.innerHeight
-        })
-        
-        if (waterRef?.current?.updateMouse) {
-          waterRef.current.updateMouse(touch.clientX, touch.clientY, isDragging)
-        }
-      }
-    }
-    
-    const handleTouchEnd = (e) => {
-      isDragging = false
-      if (waterRef?.current?.updateMouse) {
-        // Use last known position
-        waterRef.current.updateMouse(0, 0, false)
-      }
-    }
-
-    window.addEventListener('mousemove', handleMouseMove, { passive: true })
-    window.addEventListener('mousedown', handleMouseDown, { passive: true })
-    window.addEventListener('mouseup', handleMouseUp, { passive: true })
-    window.addEventListener('touchstart', handleTouchStart, { passive: true })
-    window.addEventListener('touchmove', handleTouchMove, { passive: true })
-    window.addEventListener('touchend', handleTouchEnd, { passive: true })
-    
-    return () => {
-      window.removeEventListener('mousemove', handleMouseMove)
-      window.removeEventListener('mousedown', handleMouseDown)
-      window.removeEventListener('mouseup', handleMouseUp)
-      window.removeEventListener('touchstart', handleTouchStart)
-      window.removeEventListener('touchmove', handleTouchMove)
-      window.removeEventListener('touchend', handleTouchEnd)
-    }
-  }, [waterRef])
+  // Cursor for the distortion shader - the water follows the same pointers on its own
+  useGesture('pointer', (pointer) => {
+    if (pointer.pointerType !== 'mouse' && !pointer.isDown) return
+    setCursorPos({
+      x: pointer.x / window.innerWidth,
+      y: pointer.y / window.innerHeight
+    })
+  })
 
   // Initialize media store from HTML images and text elements
   useEffect(() => {
+    let cancelled = false
+    let createdStore = []
+    
     // Wait for fonts to be ready before initializing text meshes
     const initializeMediaStore = async () => {
       await document.fonts.ready
+      if (cancelled) return
       const mediaElements = document.querySelectorAll('[data-webgl-media]')
       const textElements = document.querySelectorAll('[data-webgl-text]')
       const newMediaStore = []
@@ -453,7 +390,7 @@ export default function BarrelDistortionTemplate({ waterRef }) {
         // Force sync after setting visibility to prevent flash
         textMesh.sync(() => {
           // Text is ready and invisible - safe to add to scene
-          scene.add(textMesh)
+          if (!cancelled) scene.add(textMesh)
         })
 
         // Add to store immediately (mesh will be added to scene asynchronously)
@@ -475,6 +412,7 @@ export default function BarrelDistortionTemplate({ waterRef }) {
 
       // Text setup complete
 
+      createdStore = newMediaStore
       setMediaStore(newMediaStore)
       
       // Initialize positions after a delay to ensure no flicker
@@ -499,14 +437,16 @@ export default function BarrelDistortionTemplate({ waterRef }) {
     const timeout = setTimeout(initializeMediaStore, 300)
     
     return () => {
+      cancelled = true
       clearTimeout(timeout)
-      // Clean up meshes when component unmounts
-      mediaStore.forEach(item => {
+      // Clean up the meshes this run created - on unmount or before a context restore rebuilds them
+      createdStore.forEach(item => {
         if (item.mesh) {
           scene.remove(item.mesh)
           
           if (item.type === 'image') {
             item.mesh.geometry.dispose()
+            item.material.uniforms.uTexture.value?.dispose()
             item.material.dispose()
           } else if (item.type === 'text') {
             // Troika text meshes have their own disposal method
@@ -515,7 +455,7 @@ export default function BarrelDistortionTemplate({ waterRef }) {
         }
       })
     }
-  }, [scene, material, geometry])
+  }, [scene, material, geometry, restoreCount])
 
   // Set mesh positions to match HTML elements
   const setPositions = () => {
@@ -0,0 +1,159 @@
+import * as THREE from 'three'
+import { getPosterSrc } from './media.js'
+
+// Asset preloading with byte-level progress
+// Everything is fetched here once and handed over through three's loader cache, so the film
+// strip's ImageLoader, useTexture and useGLTF find it without a second request. The cache is
+// only on between createAssetPreloader() and release()
+
+export const PRELOADER_FONT = { family: 'PSTimesTrial', url: './fonts/PSTimesTrial-Regular.otf' }
+
+// Size guesses (bytes) until the response tells the real size - keeps the bar honest when
+// several requests are still waiting for their headers
+const SIZE_ESTIMATES = {
+    json: 20 * 1024,
+    image: 400 * 1024,
+    model: 1500 * 1024,
+    font: 100 * 1024
+}
+
+// Fetch a file as an ArrayBuffer, reporting (loaded, total) bytes as they arrive
+// total is 0 when the server doesn't send a content-length
+const fetchWithProgress = async (url, onProgress) => {
+    const response = await fetch(url)
+    if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`)
+    }
+
+    const total = Number(response.headers.get('content-length')) || 0
+    if (!response.body) {
+        const buffer = await response.arrayBuffer()
+        onProgress(buffer.byteLength, buffer.byteLength)
+        return buffer
+    }
+
+    const reader = response.body.getReader()
+    const chunks = []
+    let loaded = 0
+
+    for (;;) {
+        const { done, value } = await reader.read()
+        if (done) break
+        chunks.push(value)
+        loaded += value.length
+        // Compressed responses report the compressed size, so loaded may pass total
+        onProgress(loaded, Math.max(total, loaded))
+    }
+
+    const bytes = new Uint8Array(loaded)
+    let offset = 0
+    chunks.forEach((chunk) => {
+        bytes.set(chunk, offset)
+        offset += chunk.length
+    })
+    return bytes.buffer
+}
+
+// Turn the downloaded bytes into what the app's loaders expect to find in the cache
+const HANDLERS = {
+    json: (url, buffer) => JSON.parse(new TextDecoder().decode(buffer)),
+
+    // The object URL is kept alive - three re-uploads from the image after a context loss
+    image: async (url, buffer) => {
+        const image = new Image()
+        image.src = URL.createObjectURL(new Blob([buffer]))
+        await image.decode()
+        THREE.Cache.add(url, image)
+        return image
+    },
+
+    // GLTFLoader reads GLBs through FileLoader, which checks the cache by URL
+    model: (url, buffer) => {
+        THREE.Cache.add(url, buffer)
+        return buffer
+    },
+
+    font: async (url, buffer, asset) => {
+        const face = new FontFace(asset.family, buffer)
+        await face.load()
+        document.fonts.add(face)
+        return face
+    }
+}
+
+// Share of the bar for the data files (projects.json, fish.json, ...) - the view's assets are
+// only known once those are in, so they fill the rest
+const DATA_SHARE = 0.1
+
+// Tracks every asset's bytes and reports overall progress (0..1) as they stream in
+// load({ url, type }) resolves with the parsed asset - a failed asset still counts as done
+// release() empties three's cache and turns it off again, once the view has picked its assets up
+export const createAssetPreloader = (onProgress) => {
+    const entries = new Map()
+    let reported = 0
+
+    THREE.Cache.enabled = true
+
+    const report = () => {
+        const bytes = { data: { loaded: 0, total: 0 }, assets: { loaded: 0, total: 0 } }
+        entries.forEach((entry) => {
+            const phase = entry.type === 'json' ? bytes.data : bytes.assets
+            phase.loaded += entry.loaded
+            phase.total += entry.total
+        })
+
+        // The asset phase counts from zero until its assets have been requested
+        const dataProgress = bytes.data.total > 0 ? bytes.data.loaded / bytes.data.total : 0
+        const assetProgress = bytes.assets.total > 0 ? bytes.assets.loaded / bytes.assets.total : 0
+        const progress = DATA_SHARE * dataProgress + (1 - DATA_SHARE) * assetProgress
+
+        // Anything requested after others have finished could pull the bar back - hold it instead
+        reported = Math.max(reported, progress)
+        onProgress(reported)
+    }
+
+    const load = (asset) => {
+        if (entries.has(asset.url)) return entries.get(asset.url).promise
+
+        const entry = { type: asset.type, loaded: 0, total: SIZE_ESTIMATES[asset.type] ?? SIZE_ESTIMATES.image }
+        entries.set(asset.url, entry)
+        report()
+
+        entry.promise = fetchWithProgress(asset.url, (loaded, total) => {
+            entry.loaded = loaded
+            entry.total = total || Math.max(entry.total, loaded)
+            report()
+        })
+            .then(buffer => HANDLERS[asset.type](asset.url, buffer, asset))
+            .finally(() => {
+                entry.loaded = entry.total
+                report()
+            })
+
+        return entry.promise
+    }
+
+    const release = () => {
+        THREE.Cache.clear()
+        THREE.Cache.enabled = false
+    }
+
+    return { load, release }
+}
+
+// Assets the first view needs once projects.json is known
+// Home shows every cover on the strip, a project link also opens that project's gallery
+export const getViewAssets = (projects, route, models = []) => {
+    const images = projects.map(project => getPosterSrc(project.images[0]))
+
+    if (route.name === 'project') {
+        const linked = projects.find(project => project.id === route.id)
+        linked?.images.forEach(image => images.push(getPosterSrc(image)))
+    }
+
+    return [
+        ...[...new Set(images.filter(Boolean))].map(url => ({ url, type: 'image' })),
+        ...models.map(url => ({ url, type: 'model' })),
+        { url: PRELOADER_FONT.url, type: 'font', family: PRELOADER_FONT.family }
+    ]
+}
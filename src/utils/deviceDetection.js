@@ -20,6 +20,24 @@ export const isMobileDevice = () => {
     return hasTouch && (isMobileUA || isSmallScreen || isMobileOrientation || isMobileMedia)
 }
 
+// Check if the browser can create the WebGL2 context three.js needs
+// Fails when WebGL is turned off, blocked for the GPU or not supported at all
+export const supportsWebGL = () => {
+    try {
+        const canvas = document.createElement('canvas')
+        const gl = canvas.getContext('webgl2')
+        
+        if (!gl) return false
+        
+        // Release the test context right away - browsers limit how many can be alive
+        gl.getExtension('WEBGL_lose_context')?.loseContext()
+        return true
+    } catch (error) {
+        console.warn('WebGL support check failed:', error)
+        return false
+    }
+}
+
 // Check if device supports float textures (for desktop water shader)
 export const supportsFloatTextures = () => {
     try {
@@ -48,7 +66,7 @@ export const getDeviceCapabilities = () => {
     return {
         isMobile,
         hasFloatTextures,
-        // Recommended water shader based on capabilities
+        // Lighter canvas settings (no MSAA, capped DPR) for mobile and non-float GPUs
         shouldUseMobileWater: isMobile || !hasFloatTextures,
         // Performance tier for optimization
         performanceTier: isMobile ? 'mobile' : 'desktop'
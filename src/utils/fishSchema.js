@@ -0,0 +1,129 @@
+// Schema for public/data/fish.json - the species living in the pond
+// Shared by the app (load-time checks) and vite.config.js (build-time checks),
+// so keep this file free of browser, three and React imports
+
+import { checkFields, isPlainObject } from './schema.js'
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0
+const isRange = (value) => Array.isArray(value) && value.length === 2 && value.every(isPositiveNumber) && value[0] <= value[1]
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)
+const isNumberMap = (value) => isPlainObject(value) && Object.values(value).every(v => typeof v === 'number' || isPlainObject(v))
+
+// Species fields - ranges are [min, max], each fish picks a value inside them
+const SPECIES_FIELDS = {
+    id: { required: true, check: isNonEmptyString, expected: 'a non-empty string' },
+    model: { required: true, check: isNonEmptyString, expected: 'a path to a .glb model' },
+    weight: { required: false, check: isPositiveNumber, expected: 'a positive number' },
+    scale: { required: false, check: isRange, expected: 'a [min, max] range of positive numbers' },
+    speed: { required: false, check: isRange, expected: 'a [min, max] range of positive numbers' },
+    rotation: { required: false, check: (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite), expected: 'an [x, y, z] rotation in radians' },
+    palettes: { required: false, check: Array.isArray, expected: 'an array' },
+    flocking: { required: false, check: isNumberMap, expected: 'an object of steering overrides' }
+}
+
+// Palette fields - the colour each texture region becomes (see fishPalette.js)
+const PALETTE_FIELDS = {
+    name: { required: true, check: isNonEmptyString, expected: 'a non-empty string' },
+    white: { required: false, check: isColor, expected: 'a #rrggbb colour' },
+    red: { required: false, check: isColor, expected: 'a #rrggbb colour' },
+    black: { required: false, check: isColor, expected: 'a #rrggbb colour' },
+    weight: { required: false, check: isPositiveNumber, expected: 'a positive number' }
+}
+
+// Used when fish.json is missing or has no usable species
+export const DEFAULT_FISH_SPECIES = [{
+    id: 'koi',
+    model: './models/koi.glb',
+    weight: 1,
+    scale: [0.192, 0.192],
+    speed: [0.35, 0.35],
+    rotation: [-Math.PI / 2, 0, Math.PI],
+    palettes: [],
+    flocking: {}
+}]
+
+// Validate the parsed fish.json document
+// Returns every problem found with its JSON path, e.g. species[1].palettes[0].red
+export const validateFishConfig = (data) => {
+    const errors = []
+
+    if (!isPlainObject(data) || !Array.isArray(data.species)) {
+        errors.push({ path: 'species', message: 'must be an array', severity: 'error' })
+        return errors
+    }
+
+    if (data.species.length === 0) {
+        errors.push({ path: 'species', message: 'must contain at least one species', severity: 'error' })
+    }
+
+    const seenIds = new Set()
+
+    data.species.forEach((species, speciesIndex) => {
+        const speciesPath = `species[${speciesIndex}]`
+
+        if (!isPlainObject(species)) {
+            errors.push({ path: speciesPath, message: 'must be an object', severity: 'error' })
+            return
+        }
+
+        checkFields(species, SPECIES_FIELDS, speciesPath, errors)
+
+        if (isNonEmptyString(species.id)) {
+            if (seenIds.has(species.id)) {
+                errors.push({ path: `${speciesPath}.id`, message: `duplicates id "${species.id}"`, severity: 'error' })
+            }
+            seenIds.add(species.id)
+        }
+
+        if (Array.isArray(species.palettes)) {
+            species.palettes.forEach((palette, paletteIndex) => {
+                const palettePath = `${speciesPath}.palettes[${paletteIndex}]`
+                if (!isPlainObject(palette)) {
+                    errors.push({ path: palettePath, message: 'must be an object', severity: 'error' })
+                    return
+                }
+                checkFields(palette, PALETTE_FIELDS, palettePath, errors)
+            })
+        }
+    })
+
+    return errors
+}
+
+// Keep the usable species and fill in defaults - invalid optional fields fall back to the defaults
+export const sanitizeFishConfig = (data) => {
+    if (!isPlainObject(data) || !Array.isArray(data.species)) return DEFAULT_FISH_SPECIES
+
+    const defaults = DEFAULT_FISH_SPECIES[0]
+    const seenIds = new Set()
+
+    const species = data.species.reduce((list, entry) => {
+        if (!isPlainObject(entry) || !isNonEmptyString(entry.id) || !isNonEmptyString(entry.model) || seenIds.has(entry.id)) {
+            return list
+        }
+        seenIds.add(entry.id)
+
+        list.push({
+            id: entry.id,
+            model: entry.model,
+            weight: isPositiveNumber(entry.weight) ? entry.weight : defaults.weight,
+            scale: isRange(entry.scale) ? entry.scale : defaults.scale,
+            speed: isRange(entry.speed) ? entry.speed : defaults.speed,
+            rotation: SPECIES_FIELDS.rotation.check(entry.rotation) ? entry.rotation : defaults.rotation,
+            palettes: (Array.isArray(entry.palettes) ? entry.palettes : [])
+                .filter(palette => isPlainObject(palette) && isNonEmptyString(palette.name))
+                .map(palette => ({
+                    name: palette.name,
+                    white: isColor(palette.white) ? palette.white : undefined,
+                    red: isColor(palette.red) ? palette.red : undefined,
+                    black: isColor(palette.black) ? palette.black : undefined,
+                    weight: isPositiveNumber(palette.weight) ? palette.weight : 1
+                })),
+            flocking: isNumberMap(entry.flocking) ? entry.flocking : {}
+        })
+        return list
+    }, [])
+
+    return species.length > 0 ? species : DEFAULT_FISH_SPECIES
+}
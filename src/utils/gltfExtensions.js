@@ -0,0 +1,38 @@
+// glTF extensions the shared model loader (gltfLoader.js) can decode
+// Shared by the app and vite.config.js (build-time model checks),
+// so keep this file free of browser and React imports
+
+// Compression - decoders are configured in gltfLoader.js
+export const COMPRESSION_EXTENSIONS = [
+    'KHR_draco_mesh_compression',
+    'EXT_meshopt_compression',
+    'KHR_mesh_quantization'
+]
+
+// Handled by three's GLTFLoader without any extra setup
+// KHR_texture_basisu is missing on purpose - it needs a KTX2 transcoder we don't ship
+const BUILT_IN_EXTENSIONS = [
+    'KHR_materials_clearcoat',
+    'KHR_materials_dispersion',
+    'KHR_materials_emissive_strength',
+    'KHR_materials_ior',
+    'KHR_materials_iridescence',
+    'KHR_materials_sheen',
+    'KHR_materials_specular',
+    'KHR_materials_transmission',
+    'KHR_materials_unlit',
+    'KHR_materials_volume',
+    'KHR_materials_anisotropy',
+    'KHR_lights_punctual',
+    'KHR_texture_transform',
+    'EXT_texture_webp',
+    'EXT_texture_avif',
+    'EXT_mesh_gpu_instancing'
+]
+
+export const SUPPORTED_GLTF_EXTENSIONS = [...COMPRESSION_EXTENSIONS, ...BUILT_IN_EXTENSIONS]
+
+// Extensions a model uses that the loader isn't set up for
+export const findUnsupportedExtensions = (extensionNames) => {
+    return extensionNames.filter(name => !SUPPORTED_GLTF_EXTENSIONS.includes(name))
+}
@@ -0,0 +1,17 @@
+import { useGLTF } from '@react-three/drei'
+
+// Shared GLB loading - every model goes through here so compressed models decode
+// with the decoders we ship instead of ones fetched from a CDN
+// Draco: the glTF builds in public/draco/gltf/, resolved under the deploy base
+// Meshopt: three-stdlib's decoder, which embeds its wasm in the bundle
+
+export const DRACO_DECODER_PATH = `${import.meta.env.BASE_URL}draco/gltf/`
+
+// Also the default for any direct useGLTF call
+useGLTF.setDecoderPath(DRACO_DECODER_PATH)
+
+// Load one model or an array of models (suspends like useGLTF)
+export const useModel = (path) => useGLTF(path, DRACO_DECODER_PATH, true)
+
+// Start loading before the component that needs the model mounts
+export const preloadModel = (path) => useGLTF.preload(path, DRACO_DECODER_PATH, true)
@@ -0,0 +1,418 @@
+import { useEffect, useRef, useState } from 'react'
+
+// One set of pointer, wheel and keyboard listeners for the whole app
+// Raw DOM events are turned into gestures with shared thresholds, and every feature (strip,
+// gallery, water, fish, ...) subscribes to the gestures it needs instead of adding its own
+// document listeners - so a tap means the same thing everywhere and nothing double-handles it
+//
+// Gestures and what they carry (all positions in client pixels, velocities in px/ms):
+// - pointer    every pointer, hover included: { id, x, y, pointerType, isDown, phase: 'down' | 'move' | 'up' }
+// - press      primary pointer went down: { x, y, pointerType, target }
+// - release    primary pointer went up: { x, y, pointerType, target, wasDrag }
+// - dragstart  primary pointer moved past dragDistance, then drag on every move, dragend on release:
+//              { x, y, startX, startY, deltaX, deltaY, moveX, moveY, velocityX, velocityY, duration, pointerType, target }
+// - flick      fast drag release: same as dragend plus direction: 'left' | 'right' | 'up' | 'down'
+// - tap        short press that barely moved: { x, y, pointerType, target }
+// - pinch      two touches: { scale, centerX, centerY, phase: 'start' | 'move' | 'end' }
+// - wheel      every wheel event, deltas in pixels: { deltaX, deltaY, x, y }
+// - wheelstep  at most one per wheelStepInterval: { direction: 1 | -1 }
+// - wheelend   wheelEndDelay after the last wheel event
+// - key        keydown outside text fields: { key, code, shiftKey, altKey, ctrlKey, metaKey }
+// Every gesture also has originalEvent, preventDefault() and stop() - stop() skips the
+// handlers after this one (handlers run by priority, highest first)
+
+export const DEFAULT_INPUT_THRESHOLDS = {
+    dragDistance: 5, // Pixels a press moves before it becomes a drag
+    tapDistance: 20, // Pixels a press may move and still be a tap
+    tapDuration: 300, // Milliseconds a press may last and still be a tap
+    flickDistance: 50, // Pixels a drag has to cover to be a flick
+    flickVelocity: 0.2, // Release speed (px/ms) a drag needs to be a flick
+    velocityWindow: 100, // Milliseconds of movement averaged into the drag velocity
+    wheelStepInterval: 400, // Milliseconds between wheel steps
+    wheelEndDelay: 150 // Milliseconds without wheel events before wheelend
+}
+
+export const GESTURES = ['pointer', 'press', 'release', 'dragstart', 'drag', 'dragend', 'flick', 'tap', 'pinch', 'wheel', 'wheelstep', 'wheelend', 'key']
+
+// Gestures fed by the wheel listener - it is only added while one of them has a subscriber
+const WHEEL_GESTURES = ['wheel', 'wheelstep', 'wheelend']
+
+// Wheel deltas come in pixels, lines or pages depending on the device
+const LINE_HEIGHT = 16
+const normalizeWheelDelta = (delta, deltaMode) => {
+    if (deltaMode === 1) return delta * LINE_HEIGHT
+    if (deltaMode === 2) return delta * window.innerHeight
+    return delta
+}
+
+// Keys typed into form fields belong to the field
+const isEditableTarget = (target) => {
+    if (!target || !target.tagName) return false
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+}
+
+export const getFlickDirection = (deltaX, deltaY) => {
+    if (Math.abs(deltaX) > Math.abs(deltaY)) {
+        return deltaX > 0 ? 'right' : 'left'
+    }
+    return deltaY > 0 ? 'down' : 'up'
+}
+
+// Listens on target (window) while anything is subscribed
+export const createInputManager = (target = window, thresholds = {}) => {
+    const params = { ...DEFAULT_INPUT_THRESHOLDS, ...thresholds }
+    const handlers = new Map(GESTURES.map(type => [type, []]))
+    let subscriberCount = 0
+    let wheelSubscriberCount = 0
+    let detach = null
+    let detachWheel = null
+
+    // Every pointer currently down - the first one down drives press, drag and tap
+    const activePointers = new Map()
+    let primary = null
+    let pinch = null
+    let lastWheelStep = -Infinity
+    let wheelEndTimeout = null
+
+    const emit = (type, data, originalEvent) => {
+        let stopped = false
+        const gesture = {
+            type,
+            ...data,
+            originalEvent,
+            preventDefault: () => originalEvent?.preventDefault(),
+            stop: () => { stopped = true }
+        }
+        for (const entry of handlers.get(type)) {
+            entry.handler(gesture)
+            if (stopped) break
+        }
+    }
+
+    // Velocity over the last velocityWindow ms of samples - zero once the pointer rests
+    const getVelocity = (samples, now) => {
+        const recent = samples.filter(sample => now - sample.time <= params.velocityWindow)
+        if (recent.length < 2) return { velocityX: 0, velocityY: 0 }
+        const first = recent[0]
+        const last = recent[recent.length - 1]
+        const elapsed = Math.max(last.time - first.time, 1)
+        return {
+            velocityX: (last.x - first.x) / elapsed,
+            velocityY: (last.y - first.y) / elapsed
+        }
+    }
+
+    // Drag of the primary pointer, now at (x, y)
+    const getDragData = (x, y, time) => ({
+        x,
+        y,
+        startX: primary.startX,
+        startY: primary.startY,
+        deltaX: x - primary.startX,
+        deltaY: y - primary.startY,
+        moveX: x - primary.lastX,
+        moveY: y - primary.lastY,
+        duration: time - primary.startTime,
+        pointerType: primary.pointerType,
+        target: primary.target,
+        ...getVelocity(primary.samples, time)
+    })
+
+    const getPinchData = () => {
+        const [a, b] = Array.from(activePointers.values())
+        return {
+            distance: Math.hypot(a.x - b.x, a.y - b.y),
+            centerX: (a.x + b.x) / 2,
+            centerY: (a.y + b.y) / 2
+        }
+    }
+
+    const emitPointer = (event, phase) => {
+        emit('pointer', {
+            id: event.pointerType === 'mouse' ? 'mouse' : event.pointerId,
+            x: event.clientX,
+            y: event.clientY,
+            pointerType: event.pointerType,
+            isDown: phase !== 'up' && (event.pointerType !== 'mouse' || event.buttons > 0),
+            phase
+        }, event)
+    }
+
+    const handlePointerDown = (event) => {
+        // Only the main mouse button presses - right clicks stay context menus
+        if (event.pointerType === 'mouse' && event.button !== 0) return
+
+        activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY })
+        emitPointer(event, 'down')
+
+        if (!primary) {
+            primary = {
+                id: event.pointerId,
+                pointerType: event.pointerType,
+                target: event.target,
+                startX: event.clientX,
+                startY: event.clientY,
+                lastX: event.clientX,
+                lastY: event.clientY,
+                startTime: event.timeStamp,
+                samples: [{ time: event.timeStamp, x: event.clientX, y: event.clientY }],
+                isDragging: false,
+                wasPinched: false
+            }
+            emit('press', { x: event.clientX, y: event.clientY, pointerType: event.pointerType, target: event.target }, event)
+            return
+        }
+
+        // A second touch turns the press into a pinch - a running drag ends where the primary
+        // pointer is, not where the second one came down
+        if (activePointers.size === 2 && !pinch) {
+            if (primary.isDragging) {
+                primary.isDragging = false
+                emit('dragend', getDragData(primary.lastX, primary.lastY, event.timeStamp), event)
+            }
+            primary.wasPinched = true
+            const { distance, centerX, centerY } = getPinchData()
+            pinch = { startDistance: Math.max(distance, 1) }
+            emit('pinch', { scale: 1, centerX, centerY, phase: 'start' }, event)
+        }
+    }
+
+    const handlePointerMove = (event) => {
+        const active = activePointers.get(event.pointerId)
+        if (active) {
+            active.x = event.clientX
+            active.y = event.clientY
+        }
+        emitPointer(event, 'move')
+
+        if (pinch && active) {
+            const { distance, centerX, centerY } = getPinchData()
+            emit('pinch', { scale: distance / pinch.startDistance, centerX, centerY, phase: 'move' }, event)
+            return
+        }
+
+        if (!primary || event.pointerId !== primary.id || primary.wasPinched) return
+
+        primary.samples.push({ time: event.timeStamp, x: event.clientX, y: event.clientY })
+        primary.samples = primary.samples.filter(sample => event.timeStamp - sample.time <= params.velocityWindow)
+
+        if (!primary.isDragging) {
+            const distance = Math.hypot(event.clientX - primary.startX, event.clientY - primary.startY)
+            if (distance > params.dragDistance) {
+                primary.isDragging = true
+                primary.wasDrag = true
+                emit('dragstart', getDragData(event.clientX, event.clientY, event.timeStamp), event)
+            }
+        }
+
+        if (primary.isDragging) {
+            emit('drag', getDragData(event.clientX, event.clientY, event.timeStamp), event)
+        }
+
+        primary.lastX = event.clientX
+        primary.lastY = event.clientY
+    }
+
+    const handlePointerUp = (event) => {
+        const wasActive = activePointers.delete(event.pointerId)
+        // Mouse hover keeps reporting a position, so only active pointers report release
+        if (wasActive || event.pointerType !== 'mouse') emitPointer(event, 'up')
+
+        if (pinch && activePointers.size < 2) {
+            emit('pinch', { scale: 1, centerX: event.clientX, centerY: event.clientY, phase: 'end' }, event)
+            pinch = null
+        }
+
+        if (!primary || event.pointerId !== primary.id) return
+
+        const isCancel = event.type === 'pointercancel'
+        const data = getDragData(event.clientX, event.clientY, event.timeStamp)
+
+        if (primary.isDragging) {
+            emit('dragend', data, event)
+
+            const speed = Math.hypot(data.velocityX, data.velocityY)
+            const distance = Math.hypot(data.deltaX, data.deltaY)
+            if (!isCancel && speed >= params.flickVelocity && distance >= params.flickDistance) {
+                emit('flick', { ...data, direction: getFlickDirection(data.deltaX, data.deltaY) }, event)
+            }
+        }
+
+        emit('release', {
+            x: event.clientX,
+            y: event.clientY,
+            pointerType: primary.pointerType,
+            target: primary.target,
+            wasDrag: Boolean(primary.wasDrag)
+        }, event)
+
+        const isTap = !isCancel && !primary.wasPinched &&
+            data.duration <= params.tapDuration &&
+            Math.hypot(data.deltaX, data.deltaY) <= params.tapDistance
+        if (isTap) {
+            emit('tap', { x: event.clientX, y: event.clientY, pointerType: primary.pointerType, target: primary.target }, event)
+        }
+
+        primary = null
+    }
+
+    const handleWheel = (event) => {
+        const deltaX = normalizeWheelDelta(event.deltaX, event.deltaMode)
+        const deltaY = normalizeWheelDelta(event.deltaY, event.deltaMode)
+        emit('wheel', { deltaX, deltaY, x: event.clientX, y: event.clientY }, event)
+
+        if (deltaY !== 0 && event.timeStamp - lastWheelStep >= params.wheelStepInterval) {
+            lastWheelStep = event.timeStamp
+            emit('wheelstep', { direction: deltaY > 0 ? 1 : -1 }, event)
+        }
+
+        clearTimeout(wheelEndTimeout)
+        wheelEndTimeout = setTimeout(() => {
+            wheelEndTimeout = null
+            emit('wheelend', {}, null)
+        }, params.wheelEndDelay)
+    }
+
+    const handleKeyDown = (event) => {
+        if (isEditableTarget(event.target)) return
+        emit('key', {
+            key: event.key,
+            code: event.code,
+            shiftKey: event.shiftKey,
+            altKey: event.altKey,
+            ctrlKey: event.ctrlKey,
+            metaKey: event.metaKey
+        }, event)
+    }
+
+    const attach = () => {
+        target.addEventListener('pointerdown', handlePointerDown, { passive: true })
+        target.addEventListener('pointermove', handlePointerMove, { passive: true })
+        target.addEventListener('pointerup', handlePointerUp, { passive: true })
+        target.addEventListener('pointercancel', handlePointerUp, { passive: true })
+        target.addEventListener('keydown', handleKeyDown)
+
+        return () => {
+            target.removeEventListener('pointerdown', handlePointerDown)
+            target.removeEventListener('pointermove', handlePointerMove)
+            target.removeEventListener('pointerup', handlePointerUp)
+            target.removeEventListener('pointercancel', handlePointerUp)
+            target.removeEventListener('keydown', handleKeyDown)
+            activePointers.clear()
+            primary = null
+            pinch = null
+        }
+    }
+
+    // Not passive - the strip and the gallery keep the page from scrolling
+    // Only added while a wheel gesture is subscribed, so other pages scroll without waiting on it
+    const attachWheel = () => {
+        target.addEventListener('wheel', handleWheel, { passive: false })
+
+        return () => {
+            target.removeEventListener('wheel', handleWheel)
+            clearTimeout(wheelEndTimeout)
+            wheelEndTimeout = null
+        }
+    }
+
+    // Subscribe to one gesture type - returns the unsubscribe
+    const on = (type, handler, { priority = 0 } = {}) => {
+        const list = handlers.get(type)
+        if (!list) {
+            throw new Error(`Unknown gesture "${type}"`)
+        }
+
+        const entry = { handler, priority }
+        list.push(entry)
+        list.sort((a, b) => b.priority - a.priority)
+
+        const isWheel = WHEEL_GESTURES.includes(type)
+        if (isWheel) {
+            wheelSubscriberCount++
+            if (!detachWheel) detachWheel = attachWheel()
+        } else {
+            subscriberCount++
+            if (!detach) detach = attach()
+        }
+
+        return () => {
+            const index = list.indexOf(entry)
+            if (index === -1) return
+            list.splice(index, 1)
+
+            if (isWheel) {
+                wheelSubscriberCount--
+                if (wheelSubscriberCount === 0 && detachWheel) {
+                    detachWheel()
+                    detachWheel = null
+                }
+            } else {
+                subscriberCount--
+                if (subscriberCount === 0 && detach) {
+                    detach()
+                    detach = null
+                }
+            }
+        }
+    }
+
+    return {
+        on,
+        // Change thresholds at runtime - applies from the next event on
+        configure: (overrides) => Object.assign(params, overrides),
+        getThresholds: () => ({ ...params })
+    }
+}
+
+let sharedManager = null
+
+// The app-wide manager - created on first use
+export const getInputManager = () => {
+    if (!sharedManager) {
+        sharedManager = createInputManager(window)
+    }
+    return sharedManager
+}
+
+// Subscribe a component to a gesture while enabled - the latest handler is always called,
+// so it can read props and state without resubscribing
+export const useGesture = (type, handler, { enabled = true, priority = 0 } = {}) => {
+    const handlerRef = useRef(handler)
+    handlerRef.current = handler
+
+    useEffect(() => {
+        if (!enabled) return
+        return getInputManager().on(type, gesture => handlerRef.current(gesture), { priority })
+    }, [type, enabled, priority])
+}
+
+// Activity listeners go first, so a handler calling stop() can't hide input from them
+const ACTIVITY_PRIORITY = Number.MAX_SAFE_INTEGER
+
+// True once delay ms have passed without pointer, wheel or key input while enabled
+// Any input, or disabling, ends the idle state and starts the wait again
+// Only listens while enabled, so an idle timer never keeps the wheel listener around
+export const useIdle = (delay, { enabled = true } = {}) => {
+    const [isIdle, setIsIdle] = useState(false)
+    const timer = useRef(null)
+
+    const restart = () => {
+        clearTimeout(timer.current)
+        setIsIdle(false)
+        if (enabled) {
+            timer.current = setTimeout(() => setIsIdle(true), delay)
+        }
+    }
+
+    useEffect(() => {
+        restart()
+        return () => clearTimeout(timer.current)
+    }, [enabled, delay])
+
+    useGesture('pointer', restart, { enabled, priority: ACTIVITY_PRIORITY })
+    useGesture('wheel', restart, { enabled, priority: ACTIVITY_PRIORITY })
+    useGesture('key', restart, { enabled, priority: ACTIVITY_PRIORITY })
+
+    return enabled && isIdle
+}
@@ -0,0 +1,165 @@
+// Interaction lifecycle of the film strip and its gallery
+// browsing -> hover -> opening -> gallery -> closing -> browsing
+// transition() is a pure function, so every path can be checked without rendering anything.
+// Keep this file free of React and three imports
+
+export const PHASES = {
+    BROWSING: 'browsing', // Strip on screen, nothing under the centre line
+    HOVER: 'hover', // Strip on screen, project is the one at the centre
+    OPENING: 'opening', // Strip sweeping out towards project
+    GALLERY: 'gallery', // Gallery of project showing imageIndex
+    CLOSING: 'closing' // Gallery scaling down (step 'scaling'), then the strip settling back in (step 'settling')
+}
+
+export const CLOSING_STEPS = {
+    SCALING: 'scaling',
+    SETTLING: 'settling'
+}
+
+export const EVENTS = {
+    HOVER: 'HOVER',
+    OPEN: 'OPEN',
+    OPENED: 'OPENED',
+    SELECT_PROJECT: 'SELECT_PROJECT',
+    SHOW_IMAGE: 'SHOW_IMAGE',
+    STEP_IMAGE: 'STEP_IMAGE',
+    CLOSE: 'CLOSE',
+    SCALED_DOWN: 'SCALED_DOWN',
+    SETTLED: 'SETTLED'
+}
+
+// Event creators - send these rather than hand-written objects
+export const interactionEvents = {
+    hover: (project) => ({ type: EVENTS.HOVER, project: project || null }),
+    open: (project) => ({ type: EVENTS.OPEN, project }),
+    opened: (project, imageIndex = 0) => ({ type: EVENTS.OPENED, project, imageIndex }),
+    selectProject: (project, imageIndex = 0) => ({ type: EVENTS.SELECT_PROJECT, project, imageIndex }),
+    showImage: (imageIndex) => ({ type: EVENTS.SHOW_IMAGE, imageIndex }),
+    stepImage: (direction) => ({ type: EVENTS.STEP_IMAGE, direction }),
+    close: () => ({ type: EVENTS.CLOSE }),
+    scaledDown: () => ({ type: EVENTS.SCALED_DOWN }),
+    settled: () => ({ type: EVENTS.SETTLED })
+}
+
+export const INITIAL_INTERACTION_STATE = {
+    phase: PHASES.BROWSING,
+    project: null,
+    imageIndex: 0,
+    step: null
+}
+
+const getImageCount = (project) => (project?.images?.length || 1)
+const clampImageIndex = (project, imageIndex) => {
+    const index = Number.isInteger(imageIndex) ? imageIndex : 0
+    return Math.min(Math.max(index, 0), getImageCount(project) - 1)
+}
+const isSameProject = (a, b) => (a?.id ?? null) === (b?.id ?? null)
+
+// Next state for an event - returns the same state object when the event doesn't apply,
+// so callers can tell ignored events apart by identity
+export const transition = (state, event) => {
+    if (!event || !Object.values(EVENTS).includes(event.type)) {
+        throw new Error(`Unknown interaction event "${event?.type}"`)
+    }
+
+    const { phase } = state
+
+    switch (event.type) {
+        case EVENTS.HOVER: {
+            // Hover only means something while the strip is browsable
+            if (phase !== PHASES.BROWSING && phase !== PHASES.HOVER) return state
+            if (isSameProject(state.project, event.project)) return state
+            return event.project
+                ? { ...INITIAL_INTERACTION_STATE, phase: PHASES.HOVER, project: event.project }
+                : INITIAL_INTERACTION_STATE
+        }
+
+        case EVENTS.OPEN: {
+            // The rebuilt strip can open again while it's still settling back in
+            const canOpen = phase === PHASES.BROWSING || phase === PHASES.HOVER ||
+                (phase === PHASES.CLOSING && state.step === CLOSING_STEPS.SETTLING)
+            if (!canOpen || !event.project) return state
+            return { ...INITIAL_INTERACTION_STATE, phase: PHASES.OPENING, project: event.project }
+        }
+
+        case EVENTS.OPENED: {
+            if (phase !== PHASES.OPENING || !isSameProject(state.project, event.project)) return state
+            return {
+                ...INITIAL_INTERACTION_STATE,
+                phase: PHASES.GALLERY,
+                project: event.project,
+                imageIndex: clampImageIndex(event.project, event.imageIndex)
+            }
+        }
+
+        case EVENTS.SELECT_PROJECT: {
+            // Switch project in place (browser history between two project URLs)
+            if (phase !== PHASES.GALLERY || !event.project) return state
+            const imageIndex = clampImageIndex(event.project, event.imageIndex)
+            if (isSameProject(state.project, event.project) && imageIndex === state.imageIndex) return state
+            return { ...state, project: event.project, imageIndex }
+        }
+
+        case EVENTS.SHOW_IMAGE: {
+            if (phase !== PHASES.GALLERY) return state
+            const imageIndex = clampImageIndex(state.project, event.imageIndex)
+            return imageIndex === state.imageIndex ? state : { ...state, imageIndex }
+        }
+
+        case EVENTS.STEP_IMAGE: {
+            // Wraps around at both ends
+            if (phase !== PHASES.GALLERY) return state
+            const total = getImageCount(state.project)
+            const imageIndex = (state.imageIndex + (event.direction < 0 ? -1 : 1) + total) % total
+            return imageIndex === state.imageIndex ? state : { ...state, imageIndex }
+        }
+
+        case EVENTS.CLOSE: {
+            if (phase !== PHASES.GALLERY) return state
+            return { ...state, phase: PHASES.CLOSING, step: CLOSING_STEPS.SCALING }
+        }
+
+        case EVENTS.SCALED_DOWN: {
+            if (phase !== PHASES.CLOSING || state.step !== CLOSING_STEPS.SCALING) return state
+            return { ...state, step: CLOSING_STEPS.SETTLING }
+        }
+
+        case EVENTS.SETTLED: {
+            if (phase !== PHASES.CLOSING || state.step !== CLOSING_STEPS.SETTLING) return state
+            return INITIAL_INTERACTION_STATE
+        }
+
+        default:
+            return state
+    }
+}
+
+// Holds the current state and notifies subscribers - listener(state, previousState, event)
+// Works with React's useSyncExternalStore(machine.subscribe, machine.getState)
+export const createInteractionMachine = (initialState = INITIAL_INTERACTION_STATE) => {
+    const listeners = new Set()
+    let state = initialState
+
+    const send = (event) => {
+        const previousState = state
+        const nextState = transition(state, event)
+        if (nextState === previousState) return false
+
+        state = nextState
+        listeners.forEach(listener => listener(state, previousState, event))
+        return true
+    }
+
+    const subscribe = (listener) => {
+        listeners.add(listener)
+        return () => listeners.delete(listener)
+    }
+
+    return {
+        send,
+        subscribe,
+        getState: () => state,
+        // Whether an event would change the state right now
+        can: (event) => transition(state, event) !== state
+    }
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import {
+    transition,
+    createInteractionMachine,
+    interactionEvents,
+    INITIAL_INTERACTION_STATE,
+    PHASES,
+    CLOSING_STEPS
+} from './interactionMachine.js'
+
+const projectA = { id: 'a', images: [{}, {}, {}] }
+const projectB = { id: 'b', images: [{}] }
+
+// Run events from the initial state, returning the last state
+const run = (...events) => events.reduce(transition, INITIAL_INTERACTION_STATE)
+
+const opening = run(interactionEvents.open(projectA))
+const gallery = run(interactionEvents.open(projectA), interactionEvents.opened(projectA, 1))
+const scaling = transition(gallery, interactionEvents.close())
+const settling = transition(scaling, interactionEvents.scaledDown())
+
+describe('opening', () => {
+    it('opens from browsing and hover', () => {
+        expect(opening).toMatchObject({ phase: PHASES.OPENING, project: projectA })
+        expect(run(interactionEvents.hover(projectA), interactionEvents.open(projectA)).phase).toBe(PHASES.OPENING)
+    })
+
+    it('lands in the gallery on the requested image', () => {
+        expect(gallery).toMatchObject({ phase: PHASES.GALLERY, project: projectA, imageIndex: 1 })
+        expect(transition(opening, interactionEvents.opened(projectA, 9)).imageIndex).toBe(2)
+    })
+
+    it('ignores an opened event for another project', () => {
+        expect(transition(opening, interactionEvents.opened(projectB))).toBe(opening)
+    })
+
+    it('ignores hover, a second open and image events while opening', () => {
+        expect(transition(opening, interactionEvents.hover(projectB))).toBe(opening)
+        expect(transition(opening, interactionEvents.open(projectB))).toBe(opening)
+        expect(transition(opening, interactionEvents.showImage(1))).toBe(opening)
+        expect(transition(opening, interactionEvents.selectProject(projectB))).toBe(opening)
+    })
+
+    // The app waits for the sweep to land, then closes the gallery nobody wants any more
+    it('closes only once a Back during the sweep has let it open', () => {
+        expect(transition(opening, interactionEvents.close())).toBe(opening)
+
+        const opened = transition(opening, interactionEvents.opened(projectA))
+        expect(transition(opened, interactionEvents.close())).toMatchObject({
+            phase: PHASES.CLOSING,
+            step: CLOSING_STEPS.SCALING,
+            project: projectA
+        })
+    })
+
+    it('switches to a project linked during the sweep once open', () => {
+        const opened = transition(opening, interactionEvents.opened(projectA))
+        expect(transition(opened, interactionEvents.selectProject(projectB))).toMatchObject({
+            phase: PHASES.GALLERY,
+            project: projectB,
+            imageIndex: 0
+        })
+    })
+})
+
+describe('closing', () => {
+    it('scales down, then settles back to browsing', () => {
+        expect(scaling).toMatchObject({ phase: PHASES.CLOSING, step: CLOSING_STEPS.SCALING })
+        expect(settling).toMatchObject({ phase: PHASES.CLOSING, step: CLOSING_STEPS.SETTLING })
+        expect(transition(settling, interactionEvents.settled())).toBe(INITIAL_INTERACTION_STATE)
+    })
+
+    it('keeps the steps in order', () => {
+        expect(transition(scaling, interactionEvents.settled())).toBe(scaling)
+        expect(transition(settling, interactionEvents.scaledDown())).toBe(settling)
+    })
+
+    it('only reopens once the strip is settling', () => {
+        expect(transition(scaling, interactionEvents.open(projectB))).toBe(scaling)
+        expect(transition(settling, interactionEvents.open(projectB))).toMatchObject({ phase: PHASES.OPENING, project: projectB })
+    })
+
+    it('ignores gallery events while closing', () => {
+        expect(transition(scaling, interactionEvents.stepImage(1))).toBe(scaling)
+        expect(transition(scaling, interactionEvents.close())).toBe(scaling)
+        expect(transition(scaling, interactionEvents.hover(projectB))).toBe(scaling)
+    })
+})
+
+describe('createInteractionMachine', () => {
+    it('reports whether an event applied and notifies subscribers', () => {
+        const machine = createInteractionMachine()
+        const seen = []
+        machine.subscribe((state, previousState) => seen.push([previousState.phase, state.phase]))
+
+        expect(machine.send(interactionEvents.open(projectA))).toBe(true)
+        expect(machine.send(interactionEvents.close())).toBe(false)
+        expect(machine.can(interactionEvents.opened(projectA))).toBe(true)
+        expect(machine.send(interactionEvents.opened(projectA))).toBe(true)
+        expect(seen).toEqual([[PHASES.BROWSING, PHASES.OPENING], [PHASES.OPENING, PHASES.GALLERY]])
+    })
+
+    it('throws on unknown events', () => {
+        expect(() => transition(INITIAL_INTERACTION_STATE, { type: 'NOPE' })).toThrow()
+    })
+})
@@ -0,0 +1,25 @@
+import { validateProjectsData, sanitizeProjectsData } from './projectSchema.js'
+import { formatSchemaErrors } from './schema.js'
+
+export const PROJECTS_URL = './data/projects.json'
+
+// Plain fetch, for pages without the asset preloader
+const fetchJson = (url) => fetch(url).then(response => {
+    if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`)
+    }
+    return response.json()
+})
+
+// Load projects.json, report its schema problems and keep every project that can still be shown
+// loadJson(url) fetches and parses - the WebGL app passes its preloader so the bar counts it
+// Resolves { projects, errors }, rejects when the file can't be fetched or parsed
+export const loadProjects = (loadJson = fetchJson) => {
+    return loadJson(PROJECTS_URL).then(data => {
+        const errors = validateProjectsData(data)
+        if (errors.length > 0) {
+            console.warn(`projects.json has problems:\n${formatSchemaErrors(errors)}`)
+        }
+        return { projects: sanitizeProjectsData(data), errors }
+    })
+}
@@ -0,0 +1,71 @@
+// Gallery media helpers - entries in projects.json can be still images or videos
+
+const VIDEO_EXTENSIONS = /\.(mp4|webm|m4v|mov|ogv)(\?.*)?$/i
+
+// An entry is a video when it says so or when its src has a video extension
+export const isVideoEntry = (entry) => {
+    if (!entry) return false
+    if (entry.type === 'video') return true
+    if (entry.type === 'image') return false
+    return VIDEO_EXTENSIONS.test(entry.src || '')
+}
+
+// Still image to show while a video entry has no frame yet (falls back to the src for images)
+export const getPosterSrc = (entry) => {
+    if (!entry) return null
+    return isVideoEntry(entry) ? entry.poster || null : entry.src
+}
+
+// Video element for a gallery entry - muted and looping unless the entry opts out
+export const createVideoElement = (entry) => {
+    const video = document.createElement('video')
+    video.crossOrigin = 'anonymous'
+    video.muted = entry.muted !== false
+    video.loop = entry.loop !== false
+    video.playsInline = true
+    video.preload = 'auto'
+    if (entry.poster) {
+        video.poster = entry.poster
+    }
+    video.src = entry.src
+    return video
+}
+
+// Start playback, ignoring autoplay rejections (unmuted videos need a user gesture)
+export const playVideo = (video) => {
+    if (!video || !video.paused) return
+    const playPromise = video.play()
+    if (playPromise) {
+        playPromise.catch(() => {})
+    }
+}
+
+export const pauseVideo = (video) => {
+    if (video && !video.paused) {
+        video.pause()
+    }
+}
+
+// Release a video element completely
+export const disposeVideo = (video) => {
+    if (!video) return
+    video.pause()
+    video.removeAttribute('src')
+    video.load()
+}
+
+// Whether the page itself is visible - videos pause while the tab is in the background
+export const isDocumentVisible = () => document.visibilityState !== 'hidden'
+
+// Pause videos as soon as the tab is hidden - frame loops stop running in the background,
+// so they can't do it themselves. Playback resumes from the frame loop once visible again
+export const pauseVideosWhenHidden = (getVideos) => {
+    const handleVisibilityChange = () => {
+        if (!isDocumentVisible()) {
+            getVideos().forEach(pauseVideo)
+        }
+    }
+
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange)
+}
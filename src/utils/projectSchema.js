@@ -0,0 +1,127 @@
+// Schema for public/data/projects.json
+// Shared by the app (load-time checks) and vite.config.js (build-time checks),
+// so keep this file free of browser and React imports
+
+import { checkFields, isPlainObject } from './schema.js'
+
+// Field type checks
+const isString = (value) => typeof value === 'string'
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0
+const isStringArray = (value) => Array.isArray(value) && value.every(isString)
+const isBoolean = (value) => typeof value === 'boolean'
+
+// Project fields - required ones must be present, optional ones are checked when present
+const PROJECT_FIELDS = {
+    id: { required: true, check: isNonEmptyString, expected: 'a non-empty string' },
+    name: { required: true, check: isNonEmptyString, expected: 'a non-empty string' },
+    title: { required: true, check: isString, expected: 'a string' },
+    description: { required: true, check: isString, expected: 'a string' },
+    images: { required: true, check: Array.isArray, expected: 'an array' },
+    client: { required: false, check: isString, expected: 'a string' },
+    year: { required: false, check: (value) => isString(value) || Number.isInteger(value), expected: 'a string or integer' },
+    services: { required: false, check: isStringArray, expected: 'an array of strings' },
+    url: { required: false, check: isString, expected: 'a string' }
+}
+
+// Gallery image fields - src may also point at an mp4/webm video
+const IMAGE_FIELDS = {
+    src: { required: true, check: isNonEmptyString, expected: 'a non-empty string' },
+    title: { required: true, check: isString, expected: 'a string' },
+    description: { required: true, check: isString, expected: 'a string' },
+    type: { required: false, check: (value) => value === 'image' || value === 'video', expected: '"image" or "video"' },
+    poster: { required: false, check: isNonEmptyString, expected: 'a non-empty string' },
+    loop: { required: false, check: isBoolean, expected: 'a boolean' },
+    muted: { required: false, check: isBoolean, expected: 'a boolean' }
+}
+
+// Validate the parsed projects.json document
+// Returns every problem found with its JSON path, e.g. projects[2].images[0].src
+export const validateProjectsData = (data) => {
+    const errors = []
+
+    if (!isPlainObject(data)) {
+        errors.push({ path: '$', message: 'must be an object with a "projects" array', severity: 'error' })
+        return errors
+    }
+
+    if (!Array.isArray(data.projects)) {
+        errors.push({ path: 'projects', message: 'must be an array', severity: 'error' })
+        return errors
+    }
+
+    const seenIds = new Set()
+
+    data.projects.forEach((project, projectIndex) => {
+        const projectPath = `projects[${projectIndex}]`
+
+        if (!isPlainObject(project)) {
+            errors.push({ path: projectPath, message: 'must be an object', severity: 'error' })
+            return
+        }
+
+        checkFields(project, PROJECT_FIELDS, projectPath, errors)
+
+        // Ids are used in URLs, so they have to be unique
+        if (isNonEmptyString(project.id)) {
+            if (seenIds.has(project.id)) {
+                errors.push({ path: `${projectPath}.id`, message: `duplicates id "${project.id}"`, severity: 'error' })
+            }
+            seenIds.add(project.id)
+        }
+
+        if (Array.isArray(project.images)) {
+            if (project.images.length === 0) {
+                errors.push({ path: `${projectPath}.images`, message: 'must contain at least one image', severity: 'error' })
+            }
+
+            project.images.forEach((image, imageIndex) => {
+                const imagePath = `${projectPath}.images[${imageIndex}]`
+                if (!isPlainObject(image)) {
+                    errors.push({ path: imagePath, message: 'must be an object', severity: 'error' })
+                    return
+                }
+                checkFields(image, IMAGE_FIELDS, imagePath, errors)
+            })
+        }
+    })
+
+    return errors
+}
+
+// Repair what can be repaired and drop only the projects that can't be shown
+// - images without a usable src are removed, missing texts become empty strings
+// - projects without a usable id or without any valid image are removed
+export const sanitizeProjectsData = (data) => {
+    if (!isPlainObject(data) || !Array.isArray(data.projects)) return []
+
+    const seenIds = new Set()
+
+    return data.projects.reduce((projects, project) => {
+        if (!isPlainObject(project) || !isNonEmptyString(project.id) || seenIds.has(project.id)) {
+            return projects
+        }
+
+        const images = (Array.isArray(project.images) ? project.images : [])
+            .filter(image => isPlainObject(image) && isNonEmptyString(image.src))
+            .map(image => ({
+                ...image,
+                title: isString(image.title) ? image.title : '',
+                description: isString(image.description) ? image.description : ''
+            }))
+
+        if (images.length === 0) return projects
+
+        seenIds.add(project.id)
+
+        const name = isNonEmptyString(project.name) ? project.name : project.id
+        projects.push({
+            ...project,
+            name,
+            title: isString(project.title) ? project.title : name,
+            description: isString(project.description) ? project.description : '',
+            images
+        })
+
+        return projects
+    }, [])
+}
@@ -0,0 +1,103 @@
+// Runtime quality scaling
+// The device check picks where to start, then the measured frame rate moves the scene up
+// or down this ladder. Keep this file free of React and three imports
+
+// Tiers from cheapest to richest
+// dpr: canvas pixel ratio (capped by the screen), waterResolution: simulation buffer size,
+// sceneSamples: MSAA samples for the water's scene capture, fishCount: active fish,
+// aberrationPasses: 3 splits RGB in the strip and water shaders, 1 samples once
+export const QUALITY_TIERS = [
+    { name: 'low', dpr: 1, waterResolution: 256, sceneSamples: 0, fishCount: 40, aberrationPasses: 1 },
+    { name: 'medium', dpr: 2, waterResolution: 512, sceneSamples: 2, fishCount: 80, aberrationPasses: 3 },
+    { name: 'high', dpr: 2, waterResolution: 1024, sceneSamples: 4, fishCount: 160, aberrationPasses: 3 },
+    { name: 'ultra', dpr: 3, waterResolution: 1024, sceneSamples: 4, fishCount: 240, aberrationPasses: 3 }
+]
+
+// Start and ceiling per getDeviceCapabilities().performanceTier - the starting tiers match
+// the fixed settings each device class used to get
+const DEVICE_TIER_RANGE = {
+    desktop: { initial: 'ultra', max: 'ultra' },
+    mobile: { initial: 'medium', max: 'medium' }
+}
+
+const getTierIndex = (name) => QUALITY_TIERS.findIndex(tier => tier.name === name)
+
+export const getTierRange = (performanceTier) => {
+    const range = DEVICE_TIER_RANGE[performanceTier] || DEVICE_TIER_RANGE.desktop
+    return { initial: getTierIndex(range.initial), max: getTierIndex(range.max) }
+}
+
+// Frame rate thresholds and timing
+// The gap between the two thresholds, the longer wait before stepping up and the growing
+// backoff after a failed step up keep the tier from flickering
+export const DEFAULT_GOVERNOR = {
+    downshiftFps: 45, // Average below this steps down
+    upshiftFps: 57, // Average above this counts towards stepping up
+    sampleWindow: 2, // Seconds of frames averaged per decision
+    upshiftWindows: 3, // Good windows in a row needed to step up
+    cooldown: 3, // Seconds after a change before measuring again
+    maxFrameTime: 0.25 // Longer frames (tab switches, hitches) are ignored
+}
+
+// Watches frame times and decides tier changes
+// update(delta) returns the new tier index when it changes, otherwise null
+// getFps() is the average of the last sample window
+export const createQualityGovernor = ({ initialTier, maxTier = QUALITY_TIERS.length - 1, ...overrides }) => {
+    const params = { ...DEFAULT_GOVERNOR, ...overrides }
+    // Times each tier was left because it was too slow - doubles the wait to retry it
+    const failures = QUALITY_TIERS.map(() => 0)
+
+    let tier = Math.min(initialTier, maxTier)
+    let elapsed = 0
+    let frames = 0
+    let cooldown = params.cooldown
+    let goodWindows = 0
+    let lastFps = null
+
+    const changeTier = (nextTier) => {
+        tier = nextTier
+        cooldown = params.cooldown
+        goodWindows = 0
+        return tier
+    }
+
+    const update = (delta) => {
+        if (delta <= 0 || delta > params.maxFrameTime) return null
+
+        if (cooldown > 0) {
+            cooldown -= delta
+            return null
+        }
+
+        elapsed += delta
+        frames++
+        if (elapsed < params.sampleWindow) return null
+
+        const fps = frames / elapsed
+        lastFps = fps
+        elapsed = 0
+        frames = 0
+
+        if (fps < params.downshiftFps) {
+            goodWindows = 0
+            if (tier === 0) return null
+            failures[tier]++
+            return changeTier(tier - 1)
+        }
+
+        if (fps > params.upshiftFps && tier < maxTier) {
+            goodWindows++
+            const required = params.upshiftWindows * Math.pow(2, failures[tier + 1])
+            if (goodWindows >= required) return changeTier(tier + 1)
+        } else {
+            goodWindows = 0
+        }
+        return null
+    }
+
+    return {
+        update,
+        getTier: () => tier,
+        getFps: () => lastFps
+    }
+}
@@ -0,0 +1,114 @@
+import { useSyncExternalStore } from 'react'
+
+// Base path the app is served from ('/portthreefiber' on GitHub Pages)
+const BASE_PATH = import.meta.env.BASE_URL.replace(/\/$/, '')
+
+const listeners = new Set()
+
+// Path inside the app, without the deployment base and trailing slash
+const getAppPath = () => {
+    let path = window.location.pathname
+    // Only a whole segment - '/portthreefiberX' is not under '/portthreefiber'
+    if (BASE_PATH && (path === BASE_PATH || path.startsWith(`${BASE_PATH}/`))) {
+        path = path.slice(BASE_PATH.length)
+    }
+    path = path.replace(/\/+$/, '')
+    return path || '/'
+}
+
+// Match an app path against the known routes
+// Image numbers in the URL are 1-based to match the photo counter
+export const parseRoute = (path) => {
+    let segments
+    try {
+        segments = path.split('/').filter(Boolean).map(decodeURIComponent)
+    } catch {
+        // Malformed escapes (%E0%A4%A) can't name any route
+        return { name: 'not-found', path }
+    }
+
+    if (segments.length === 0) {
+        return { name: 'home', path: '/' }
+    }
+
+    if (segments[0] === 'projects' && segments.length >= 2 && segments.length <= 3) {
+        const imageNumber = segments.length === 3 ? parseInt(segments[2], 10) : 1
+        return {
+            name: 'project',
+            path,
+            id: segments[1],
+            imageIndex: Number.isInteger(imageNumber) && imageNumber > 0 ? imageNumber - 1 : 0
+        }
+    }
+
+    if (segments.length === 1 && segments[0] === 'about') {
+        return { name: 'about', path }
+    }
+
+    if (segments.length === 2 && segments[0] === 'lab' && segments[1] === 'barrel') {
+        return { name: 'lab-barrel', path }
+    }
+
+    return { name: 'not-found', path }
+}
+
+// Build the path for a project, optionally pointing at a specific gallery image
+export const getProjectPath = (id, imageIndex = 0) => {
+    const projectPath = `/projects/${encodeURIComponent(id)}`
+    return imageIndex > 0 ? `${projectPath}/${imageIndex + 1}` : projectPath
+}
+
+// Full URL of an app path - for real links that the app intercepts
+export const getHref = (path) => BASE_PATH + path
+
+// Old test links used ?template=barrel-distortion - move them to the real route
+const legacyParams = new URLSearchParams(window.location.search)
+if (legacyParams.get('template') === 'barrel-distortion') {
+    window.history.replaceState(null, '', `${BASE_PATH}/lab/barrel${window.location.hash}`)
+}
+
+let currentRoute = parseRoute(getAppPath())
+
+const updateRoute = () => {
+    const path = getAppPath()
+    if (path === currentRoute.path) return
+
+    currentRoute = parseRoute(path)
+    listeners.forEach(listener => listener())
+}
+
+window.addEventListener('popstate', updateRoute)
+
+export const getRoute = () => currentRoute
+
+// Client-side navigation - no page reload
+export const navigate = (path, { replace = false } = {}) => {
+    if (path === currentRoute.path) return
+
+    const url = BASE_PATH + path
+    if (replace) {
+        // Keep the "pushed by the app" marker of the entry being replaced
+        window.history.replaceState(window.history.state, '', url)
+    } else {
+        window.history.pushState({ internal: true }, '', url)
+    }
+    updateRoute()
+}
+
+// Go back in history when the current entry was pushed by the app,
+// otherwise (deep link opened directly) navigate to the fallback path
+export const navigateBack = (fallbackPath = '/') => {
+    if (window.history.state?.internal) {
+        window.history.back()
+    } else {
+        navigate(fallbackPath)
+    }
+}
+
+const subscribe = (listener) => {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+}
+
+// Subscribe a component to route changes
+export const useRoute = () => useSyncExternalStore(subscribe, getRoute)
@@ -0,0 +1,31 @@
+// Helpers shared by the data schemas (projectSchema.js, fishSchema.js, stripPathSchema.js)
+// Also loaded by vite.config.js, so keep this file free of browser, three and React imports
+
+export const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Check one object against a field table, pushing { path, message, severity } entries
+// Fields look like { required, check, expected } - required ones must be present,
+// optional ones are checked when present
+export const checkFields = (value, fields, path, errors) => {
+    Object.entries(fields).forEach(([key, field]) => {
+        if (value[key] === undefined) {
+            if (field.required) {
+                errors.push({ path: `${path}.${key}`, message: `is required (${field.expected})`, severity: 'error' })
+            }
+        } else if (!field.check(value[key])) {
+            errors.push({ path: `${path}.${key}`, message: `must be ${field.expected}`, severity: 'error' })
+        }
+    })
+
+    // Unknown keys are usually typos - report them but don't reject the entry
+    Object.keys(value).forEach((key) => {
+        if (!fields[key]) {
+            errors.push({ path: `${path}.${key}`, message: 'is not a known field', severity: 'warning' })
+        }
+    })
+}
+
+// Format problems from any data schema as readable lines for console and build output
+export const formatSchemaErrors = (errors) => {
+    return errors.map(error => `${error.severity === 'warning' ? 'warning' : 'error'}  ${error.path} ${error.message}`).join('\n')
+}
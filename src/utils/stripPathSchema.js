@@ -0,0 +1,158 @@
+// Schema for public/data/strip.json - the shape of the film strip's path
+// Shared by the film strip (load-time checks) and vite.config.js (build-time checks),
+// so keep this file free of browser, three and React imports
+//
+// A path is a Catmull-Rom curve through control points [x, y, z], given in desktop orientation:
+// the strip runs left to right along x and the camera looks down -z from z = 5 (mobile turns
+// it upright). Tiles are centred on the middle of the path by length, so that point should
+// sit in front of the camera around (0, 0, 0.2). Tiles are square on a path STRIP_PATH_LENGTH
+// units long - validation warns about paths far from it
+
+import { checkFields, isPlainObject } from './schema.js'
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0
+const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+const isDirection = (value) => isVector(value) && value.some(component => component !== 0)
+const isPointList = (value) => Array.isArray(value) && value.length >= 2 && value.every(isVector)
+
+// Path fields - up is the direction the strip's width follows, kept square to the path
+const PATH_FIELDS = {
+    points: { required: true, check: isPointList, expected: 'an array of at least two [x, y, z] points' },
+    closed: { required: false, check: (value) => typeof value === 'boolean', expected: 'true or false' },
+    up: { required: false, check: isDirection, expected: 'a non-zero [x, y, z] direction' }
+}
+
+const CONFIG_FIELDS = {
+    path: { required: false, check: isNonEmptyString, expected: 'the name of a preset or custom path' },
+    paths: { required: false, check: isPlainObject, expected: 'an object of named paths' }
+}
+
+const DEFAULT_UP = [0, 1, 0]
+
+// Length the tile mapping is made for, and how far (as a share of it) a path may be off
+export const STRIP_PATH_LENGTH = 40
+const PATH_LENGTH_TOLERANCE = 0.2
+
+// Length through the control points - the curve itself is only slightly longer
+const getControlLength = (points, closed) => {
+    const ring = closed ? [...points, points[0]] : points
+    return ring.slice(1).reduce((length, point, index) => (
+        length + Math.hypot(...point.map((value, axis) => value - ring[index][axis]))
+    ), 0)
+}
+
+// count + 1 points at t = 0..1, for the generated presets
+const samplePath = (count, getPoint) => Array.from({ length: count + 1 }, (_, index) => getPoint(index / count))
+
+const CIRCLE_RADIUS = STRIP_PATH_LENGTH / (2 * Math.PI)
+
+// Built-in paths, all about STRIP_PATH_LENGTH long
+export const STRIP_PATH_PRESETS = {
+    // Flat in the middle, bending away at both ends
+    's-curve': {
+        points: [[-18, 0, -7], [-12, 0, -4], [-6, 0, -0.2], [0, 0, 0.2], [6, 0, -0.2], [12, 0, -4], [18, 0, -7]],
+        closed: false,
+        up: DEFAULT_UP
+    },
+    flat: {
+        points: samplePath(4, t => [-20 + t * 40, 0, 0.2]),
+        closed: false,
+        up: DEFAULT_UP
+    },
+    // Rises and falls across the screen
+    wave: {
+        points: samplePath(12, t => {
+            const x = -18 + t * 36
+            return [x, 1.5 * Math.sin(Math.PI * x / 12), 0.2]
+        }),
+        closed: false,
+        up: DEFAULT_UP
+    },
+    // Coils around the x axis, facing the camera in the middle
+    helix: {
+        points: samplePath(40, t => {
+            const angle = (t - 0.5) * 2.4 * 2 * Math.PI
+            return [(t - 0.5) * 2.4 * 14, 1.5 * Math.sin(angle), 0.2 + 1.5 * Math.cos(angle) - 1.5]
+        }),
+        closed: false,
+        up: DEFAULT_UP
+    },
+    // Ring around a point behind the centre - starts and ends at the back
+    circle: {
+        points: samplePath(16, t => {
+            const angle = Math.PI + t * 2 * Math.PI
+            return [CIRCLE_RADIUS * Math.sin(angle), 0, 0.2 - CIRCLE_RADIUS + CIRCLE_RADIUS * Math.cos(angle)]
+        }).slice(0, -1), // Closed curves join the last point back to the first
+        closed: true,
+        up: DEFAULT_UP
+    }
+}
+
+export const DEFAULT_STRIP_PATH = 's-curve'
+
+// Validate the parsed strip.json document
+// Returns every problem found with its JSON path, e.g. paths.arch.points
+export const validateStripConfig = (data) => {
+    const errors = []
+
+    if (!isPlainObject(data)) {
+        errors.push({ path: '$', message: 'must be an object', severity: 'error' })
+        return errors
+    }
+
+    checkFields(data, CONFIG_FIELDS, '$', errors)
+
+    const customPaths = isPlainObject(data.paths) ? data.paths : {}
+    Object.entries(customPaths).forEach(([name, path]) => {
+        const pathPath = `paths.${name}`
+
+        if (!isPlainObject(path)) {
+            errors.push({ path: pathPath, message: 'must be an object', severity: 'error' })
+            return
+        }
+
+        checkFields(path, PATH_FIELDS, pathPath, errors)
+
+        // Tiles stretch on longer paths and squash on shorter ones
+        if (isPointList(path.points)) {
+            const length = getControlLength(path.points, path.closed === true)
+            if (Math.abs(length - STRIP_PATH_LENGTH) > STRIP_PATH_LENGTH * PATH_LENGTH_TOLERANCE) {
+                errors.push({
+                    path: `${pathPath}.points`,
+                    message: `are about ${length.toFixed(0)} units long - tiles are only square on paths about ${STRIP_PATH_LENGTH} long`,
+                    severity: 'warning'
+                })
+            }
+        }
+
+        if (STRIP_PATH_PRESETS[name]) {
+            errors.push({ path: pathPath, message: `replaces the "${name}" preset`, severity: 'warning' })
+        }
+    })
+
+    if (isNonEmptyString(data.path) && !STRIP_PATH_PRESETS[data.path] && !customPaths[data.path]) {
+        errors.push({ path: '$.path', message: `names an unknown path "${data.path}"`, severity: 'error' })
+    }
+
+    return errors
+}
+
+// Presets plus the usable custom paths, and the one to show - falls back to the S-curve
+// Returns { path, paths } with every path's optional fields filled in
+export const sanitizeStripConfig = (data) => {
+    const paths = { ...STRIP_PATH_PRESETS }
+
+    const customPaths = isPlainObject(data) && isPlainObject(data.paths) ? data.paths : {}
+    Object.entries(customPaths).forEach(([name, path]) => {
+        if (!isPlainObject(path) || !isPointList(path.points)) return
+
+        paths[name] = {
+            points: path.points,
+            closed: path.closed === true,
+            up: isDirection(path.up) ? path.up : DEFAULT_UP
+        }
+    })
+
+    const path = isPlainObject(data) && paths[data.path] ? data.path : DEFAULT_STRIP_PATH
+    return { path, paths }
+}
@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react'
+import { useThree } from '@react-three/fiber'
+
+// WebGL context loss (mobile Safari drops it when the tab is backgrounded)
+// three keeps the canvas restorable and resets its own GL state on restore. The GPU resources
+// we create - render targets, textures, materials - are rebuilt by the components that own
+// them: they add useContextRestoreCount() to the deps of those resources. Offsets, positions
+// and gallery state live in refs and React state, so they survive the rebuild
+
+// Subscribe to the loss and restore events of a canvas - returns the cleanup
+export const watchContextLoss = (canvas, { onLost, onRestored }) => {
+    canvas.addEventListener('webglcontextlost', onLost)
+    canvas.addEventListener('webglcontextrestored', onRestored)
+
+    return () => {
+        canvas.removeEventListener('webglcontextlost', onLost)
+        canvas.removeEventListener('webglcontextrestored', onRestored)
+    }
+}
+
+// How many times the Canvas' context has been restored - use inside the Canvas
+export const useContextRestoreCount = () => {
+    const gl = useThree(state => state.gl)
+    const [restoreCount, setRestoreCount] = useState(0)
+
+    useEffect(() => {
+        return watchContextLoss(gl.domElement, {
+            onLost: () => {},
+            onRestored: () => setRestoreCount(count => count + 1)
+        })
+    }, [gl])
+
+    return restoreCount
+}
@@ -1,6 +1,18 @@
 import react from '@vitejs/plugin-react'
 import { transformWithEsbuild } from 'vite'
 import restart from 'vite-plugin-restart'
+import { readFileSync, readdirSync, statSync } from 'node:fs'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { NodeIO, Logger } from '@gltf-transform/core'
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions'
+import { dedup, meshopt } from '@gltf-transform/functions'
+import { MeshoptEncoder } from 'meshoptimizer'
+import { validateProjectsData } from './src/utils/projectSchema.js'
+import { formatSchemaErrors } from './src/utils/schema.js'
+import { validateFishConfig } from './src/utils/fishSchema.js'
+import { validateStripConfig } from './src/utils/stripPathSchema.js'
+import { findUnsupportedExtensions } from './src/utils/gltfExtensions.js'
 
 export default {
     root: 'src/',
@@ -14,6 +26,78 @@ export default {
         // React support
         react(),
 
+        // Fail the build when a data file in public/data/ doesn't match its schema
+        {
+            name: 'validate-data-json',
+            apply: 'build',
+            buildStart()
+            {
+                const dataFiles = [
+                    { path: 'public/data/projects.json', validate: validateProjectsData },
+                    { path: 'public/data/fish.json', validate: validateFishConfig },
+                    { path: 'public/data/strip.json', validate: validateStripConfig },
+                ]
+
+                for(const { path, validate } of dataFiles)
+                {
+                    let data
+
+                    try
+                    {
+                        data = JSON.parse(readFileSync(new URL(`./${path}`, import.meta.url), 'utf-8'))
+                    }
+                    catch(error)
+                    {
+                        this.error(`${path} could not be read: ${error.message}`)
+                    }
+
+                    const problems = validate(data)
+                    const errors = problems.filter(problem => problem.severity !== 'warning')
+
+                    if (errors.length > 0)
+                        this.error(`${path} is invalid:\n${formatSchemaErrors(problems)}`)
+
+                    if (problems.length > 0)
+                        this.warn(`${path}:\n${formatSchemaErrors(problems)}`)
+                }
+            },
+        },
+
+        // Compress public/models/*.glb into the build output - the source models stay untouched
+        // Fails when a model uses an extension the app's loader isn't set up for (see gltfExtensions.js)
+        {
+            name: 'compress-models',
+            apply: 'build',
+            async writeBundle(options)
+            {
+                const modelsDir = fileURLToPath(new URL('./public/models', import.meta.url))
+                const models = readdirSync(modelsDir).filter(file => file.endsWith('.glb'))
+
+                await MeshoptEncoder.ready
+                const io = new NodeIO()
+                    .registerExtensions(ALL_EXTENSIONS)
+                    .registerDependencies({ 'meshopt.encoder': MeshoptEncoder })
+
+                for(const file of models)
+                {
+                    const document = await io.read(join(modelsDir, file))
+                    document.setLogger(new Logger(Logger.Verbosity.WARN))
+
+                    const used = document.getRoot().listExtensionsUsed().map(extension => extension.extensionName)
+                    const unsupported = findUnsupportedExtensions(used)
+                    if (unsupported.length > 0)
+                        this.error(`public/models/${file} uses glTF extensions the loader isn't configured for: ${unsupported.join(', ')}`)
+
+                    await document.transform(dedup(), meshopt({ encoder: MeshoptEncoder, level: 'medium' }))
+
+                    const output = join(options.dir, 'models', file)
+                    const originalSize = statSync(join(modelsDir, file)).size
+                    await io.write(output, document)
+                    this.info(`models/${file}: ${(originalSize / 1024).toFixed(0)} kB -> ${(statSync(output).size / 1024).toFixed(0)} kB`)
+                }
+            },
+        },
+
         // .js file support as if it was JSX
         {
             name: 'load+transform-js-files-as-jsx',